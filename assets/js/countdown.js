@@ -1,42 +1,309 @@
-/**
-* Template Name: ComingSoon
-* Updated: Jul 27 2023 with Bootstrap v5.3.1
-* Template URL: https://bootstrapmade.com/comingsoon-free-html-bootstrap-template/
-* Author: BootstrapMade.com
-* License: https://bootstrapmade.com/license/
-*/
-(function() {
-  "use strict";
-
-  /**
-   * Easy selector helper function
-   */
-  const select = (el, all = false) => {
-    el = el.trim()
-    if (all) {
-      return [...document.querySelectorAll(el)]
-    } else {
-      return document.querySelector(el)
-    }
-  }
-
-  /**
-   * Countdown timer
-   */
-  let countdown = select('.countdown');
-  const output = countdown.innerHTML;
-
-  const countDownDate = function() {
-    let timeleft = new Date(countdown.getAttribute('data-count')).getTime() - new Date().getTime();
-
-    let days = Math.floor(timeleft / (1000 * 60 * 60 * 24));
-    let hours = Math.floor((timeleft % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-    let minutes = Math.floor((timeleft % (1000 * 60 * 60)) / (1000 * 60));
-    let seconds = Math.floor((timeleft % (1000 * 60)) / 1000);
-
-    countdown.innerHTML = output.replace('%d', days).replace('%h', hours).replace('%m', minutes).replace('%s', seconds);
-  }
-  countDownDate();
-  setInterval(countDownDate, 1000);
-
-})()
\ No newline at end of file
+/**
+ * BrainHack Marseille - Countdown
+ * Countdown component mounted on every [data-countdown] element, each with
+ * its own deadline(s) and format, shared by the current and archive pages
+ *
+ * Single deadline (ISO datetime with zone) and plain-text format:
+ *
+ *   <div data-countdown="2026-01-28T09:00:00+01:00"
+ *        data-countdown-format="%D %H %M to go"
+ *        data-countdown-final="See you next year!"></div>
+ *
+ * Several phases: one <template data-until="..."> per phase, shown until its
+ * deadline, and an optional <template data-final> for afterwards:
+ *
+ *   <div data-countdown>
+ *     <template data-until="2026-01-16T23:59:59+01:00"><h2>%D left to register</h2></template>
+ *     <template data-until="2026-01-28T09:00:00+01:00"><h2>%D %H to go</h2></template>
+ *     <template data-final><h2>See you next year!</h2></template>
+ *   </div>
+ *
+ * %d, %h, %m and %s give the number of days, hours, minutes and seconds left;
+ * %D, %H, %M and %S give it with its unit ("1 Day", "2 jours"...), in the
+ * language of data-countdown-lang or of the closest [lang] attribute.
+ *
+ * With i18n.js, units and data-i18n texts in the templates come from its
+ * catalogs and follow the language toggle.
+ */
+
+(function() {
+  'use strict';
+
+  // Deadlines must carry their zone ("Z" or "+01:00"), never the visitor's local time
+  const ZONED_ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+  const TOKEN_PATTERN = /%([dhmsDHMS])/g;
+  const DEFAULT_LANGUAGE = 'en';
+  const DEFAULT_FORMAT = '%D %H %M %S';
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  // Catalog keys of the units in i18n.js
+  const UNIT_KEYS = {
+    d: 'countdown.days',
+    h: 'countdown.hours',
+    m: 'countdown.minutes',
+    s: 'countdown.seconds'
+  };
+
+  // Unit names as [singular, plural], for pages without i18n.js
+  const UNITS = {
+    en: {
+      d: ['Day', 'Days'],
+      h: ['Hour', 'Hours'],
+      m: ['Minute', 'Minutes'],
+      s: ['Second', 'Seconds']
+    },
+    fr: {
+      d: ['jour', 'jours'],
+      h: ['heure', 'heures'],
+      m: ['minute', 'minutes'],
+      s: ['seconde', 'secondes']
+    }
+  };
+
+  // Elements already mounted, with their controller
+  const mounted = new WeakMap();
+  const pluralRules = {};
+
+  /**
+   * Timestamp of a deadline, or NaN when it has no explicit zone
+   */
+  function parseDeadline(value) {
+    if (!ZONED_ISO_DATETIME.test(String(value || '').trim())) {
+      console.warn(`⚠️ Countdown: "${value}" is not an ISO datetime with a zone, deadline ignored`);
+      return NaN;
+    }
+    return Date.parse(value);
+  }
+
+  /**
+   * Shared translations (i18n.js), when loaded
+   */
+  function getI18n() {
+    return window.BHM && window.BHM.i18n ? window.BHM.i18n : null;
+  }
+
+  /**
+   * Supported language of an element ("en" or "fr")
+   */
+  function getLanguage(element) {
+    const source = element.closest('[data-countdown-lang]') || element.closest('[lang]');
+    const value = source
+      ? (source.getAttribute('data-countdown-lang') || source.getAttribute('lang'))
+      : '';
+    const language = String(value || '').toLowerCase().split('-')[0];
+
+    return UNITS[language] ? language : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Count with its unit, singular or plural following the language's rules
+   * (French uses the singular for 0 and 1, English only for 1)
+   */
+  function pluralize(count, unit, language) {
+    const i18n = getI18n();
+    if (i18n && i18n.has(UNIT_KEYS[unit], language)) {
+      return i18n.t(UNIT_KEYS[unit], { count: count }, language);
+    }
+
+    const forms = UNITS[language][unit];
+    let category;
+
+    if (window.Intl && Intl.PluralRules) {
+      pluralRules[language] = pluralRules[language] || new Intl.PluralRules(language);
+      category = pluralRules[language].select(count);
+    } else {
+      category = (language === 'fr' ? count < 2 : count === 1) ? 'one' : 'other';
+    }
+
+    return `${count} ${category === 'one' ? forms[0] : forms[1]}`;
+  }
+
+  /**
+   * Split a duration into days, hours, minutes and seconds (never negative)
+   */
+  function splitDuration(timeLeft) {
+    const left = Math.max(0, timeLeft);
+
+    return {
+      d: Math.floor(left / DAY),
+      h: Math.floor((left % DAY) / HOUR),
+      m: Math.floor((left % HOUR) / MINUTE),
+      s: Math.floor((left % MINUTE) / 1000)
+    };
+  }
+
+  /**
+   * Replace the tokens of a format string
+   */
+  function format(text, timeLeft, language) {
+    const parts = splitDuration(timeLeft);
+    const lang = UNITS[language] ? language : DEFAULT_LANGUAGE;
+
+    return String(text).replace(TOKEN_PATTERN, (match, token) => {
+      const unit = token.toLowerCase();
+      return token === unit ? String(parts[unit]) : pluralize(parts[unit], unit, lang);
+    });
+  }
+
+  /**
+   * Read the phases of an element, sorted by deadline
+   */
+  function readPhases(element) {
+    const templates = [...element.querySelectorAll('template')];
+    let phases;
+    let final = null;
+
+    if (templates.length) {
+      phases = templates
+        .filter(template => template.hasAttribute('data-until'))
+        .map(template => ({
+          until: parseDeadline(template.getAttribute('data-until')),
+          content: template.content
+        }));
+
+      const finalTemplate = templates.find(template => template.hasAttribute('data-final'));
+      if (finalTemplate) final = finalTemplate.content;
+    } else {
+      phases = [{
+        until: parseDeadline(element.getAttribute('data-countdown')),
+        content: document.createTextNode(element.getAttribute('data-countdown-format') || DEFAULT_FORMAT)
+      }];
+
+      if (element.hasAttribute('data-countdown-final')) {
+        final = document.createTextNode(element.getAttribute('data-countdown-final'));
+      }
+    }
+
+    return {
+      phases: phases.filter(phase => !isNaN(phase.until)).sort((a, b) => a.until - b.until),
+      final: final
+    };
+  }
+
+  /**
+   * Text nodes of a rendered phase that contain tokens, with their original text
+   */
+  function collectTokens(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const tokens = [];
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (/%[dhmsDHMS]/.test(node.nodeValue)) {
+        tokens.push({ node: node, text: node.nodeValue });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Start the countdown of one element
+   *
+   * @param {Element} element - Element with a data-countdown attribute
+   * @returns {{update: Function, stop: Function}} Controller (one per element)
+   */
+  function mount(element) {
+    if (mounted.has(element)) return mounted.get(element);
+
+    const { phases, final } = readPhases(element);
+
+    // Visible text changes every second, so it is hidden from screen readers;
+    // the live region repeats it politely once a minute instead
+    const output = document.createElement('div');
+    output.className = 'countdown-output';
+    output.setAttribute('aria-hidden', 'true');
+
+    const live = document.createElement('div');
+    live.className = 'sr-only';
+    live.setAttribute('role', 'status');
+    live.setAttribute('aria-live', 'polite');
+    live.setAttribute('aria-atomic', 'true');
+
+    let timer = null;
+    let current;
+    let tokens = [];
+    let announcedMinute = null;
+
+    const stop = function() {
+      clearInterval(timer);
+      timer = null;
+    };
+
+    const update = function() {
+      const now = Date.now();
+      const phase = phases.find(item => item.until > now) || null;
+      const language = getLanguage(element);
+
+      if (phase !== current) {
+        current = phase;
+        output.replaceChildren((phase ? phase.content : final || document.createTextNode('')).cloneNode(true));
+        if (getI18n()) getI18n().apply(output);
+        tokens = phase ? collectTokens(output) : [];
+        announcedMinute = null;
+      }
+
+      if (!phase) {
+        // Final state: nothing changes anymore, so it can be read directly
+        output.removeAttribute('aria-hidden');
+        live.textContent = '';
+        stop();
+        return false;
+      }
+
+      const timeLeft = phase.until - now;
+      tokens.forEach(token => {
+        token.node.nodeValue = format(token.text, timeLeft, language);
+      });
+
+      const minute = Math.floor(timeLeft / MINUTE);
+      if (minute !== announcedMinute) {
+        announcedMinute = minute;
+        live.textContent = output.textContent.replace(/\s+/g, ' ').trim();
+      }
+
+      return true;
+    };
+
+    // Filled before insertion, so the first value is not announced on load
+    const counting = update();
+    element.append(output, live);
+
+    // Nothing left to count: no timer at all
+    if (counting) {
+      timer = setInterval(update, 1000);
+    }
+
+    // Render the current phase again in the new language
+    if (getI18n()) {
+      getI18n().onChange(() => {
+        current = undefined;
+        update();
+      });
+    }
+
+    const controller = { update: update, stop: stop };
+    mounted.set(element, controller);
+    return controller;
+  }
+
+  /**
+   * Mount every [data-countdown] element of a container
+   */
+  function mountAll(root) {
+    return [...(root || document).querySelectorAll('[data-countdown]')].map(mount);
+  }
+
+  mountAll();
+
+  window.BHM = window.BHM || {};
+  window.BHM.countdown = {
+    mount: mount,
+    mountAll: mountAll,
+    format: format
+  };
+
+})();
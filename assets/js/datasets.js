@@ -0,0 +1,297 @@
+/**
+ * BrainHack Marseille 2026 - Datasets
+ * Finds public datasets (OpenNeuro, DANDI, NeuroVault, OSF, HCP) in the
+ * free-text "Data to use" answers and shows them as dataset cards, with the
+ * metadata cached at build time by scripts/fetch_dataset_metadata.py; also
+ * lists the datasets used by this year's projects (as loaded by the grid)
+ */
+
+(function() {
+  'use strict';
+
+  const { escapeHtml, loadJson, keepFocus } = window.BHM.utils;
+  const { t } = window.BHM.i18n;
+
+  // Configuration
+  const CACHE_JSON_URL = 'assets/data/datasets.json';
+  const CONTAINER_ID = 'project-datasets';
+  const PROJECTS_HASH = '#projects';
+
+  // Dataset archives; the first group of a pattern is the accession (no
+  // group: `accession`). Same patterns as scripts/fetch_dataset_metadata.py.
+  const REPOSITORIES = [
+    {
+      key: 'openneuro',
+      name: 'OpenNeuro',
+      icon: 'icofont-brain-alt',
+      patterns: [/openneuro\.org\/datasets\/(ds\d{6})/gi, /10\.18112\/openneuro\.(ds\d{6})/gi, /\b(ds\d{6})\b/gi],
+      url: accession => `https://openneuro.org/datasets/${accession}`
+    },
+    {
+      key: 'dandi',
+      name: 'DANDI',
+      icon: 'icofont-pulse',
+      patterns: [/dandiarchive\.org\/dandiset\/(\d{6})/gi, /10\.48324\/dandi\.(\d{6})/gi, /\bdandi(?:set)?[:\s#]*(\d{6})\b/gi],
+      url: accession => `https://dandiarchive.org/dandiset/${accession}`
+    },
+    {
+      key: 'neurovault',
+      name: 'NeuroVault',
+      icon: 'icofont-chart-histogram',
+      patterns: [/neurovault\.org\/collections\/(\d+)/gi, /\bneurovault\s+collection\s*#?(\d+)/gi],
+      url: accession => `https://neurovault.org/collections/${accession}/`
+    },
+    {
+      key: 'osf',
+      name: 'OSF',
+      icon: 'icofont-document-folder',
+      patterns: [/osf\.io\/([a-z0-9]{5})\b/gi],
+      url: accession => `https://osf.io/${accession}/`
+    },
+    {
+      key: 'hcp',
+      name: 'Human Connectome Project',
+      icon: 'icofont-database',
+      accession: 'HCP',
+      patterns: [/\bHCP\b|human connectome project|humanconnectome\.org/gi],
+      url: () => 'https://www.humanconnectome.org/'
+    }
+  ];
+
+  // Size units for Intl.NumberFormat, in steps of 1000
+  const SIZE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte', 'petabyte'];
+
+  const state = {
+    cache: {},
+    cacheLoad: null,
+    projects: [],
+    open: false
+  };
+
+  /**
+   * Main initialization function (the index of this year's datasets)
+   * The grid loads the projects (and reports loading errors); the index
+   * stays hidden until this year's projects name a dataset.
+   */
+  function init() {
+    const container = document.getElementById(CONTAINER_ID);
+    if (!container) return;
+
+    window.BHM.projects.subscribe(projects => {
+      state.projects = projects.filter(project => String(project.year) === window.BHM.projects.currentYear);
+      load().then(() => keepFocus(container, () => renderIndex(container)));
+    });
+
+    window.BHM.i18n.onChange(() => renderIndex(container));
+  }
+
+  /**
+   * Load the metadata cache once; without it the cards show the archive and
+   * accession only
+   *
+   * @returns {Promise<void>} Never rejects
+   */
+  function load() {
+    if (!state.cacheLoad) {
+      state.cacheLoad = loadJson(CACHE_JSON_URL)
+        .then(cache => {
+          state.cache = cache && cache.datasets ? cache.datasets : {};
+        })
+        .catch(error => {
+          console.warn('⚠️ No dataset metadata cache:', error);
+        });
+    }
+    return state.cacheLoad;
+  }
+
+  /**
+   * Datasets named in a free-text answer, in order of appearance and
+   * without duplicates
+   *
+   * @param {string} text - "Data to use" answer
+   * @returns {Array<{key: string, repository: Object, accession: string, url: string}>}
+   */
+  function find(text) {
+    const found = [];
+
+    REPOSITORIES.forEach(repository => {
+      repository.patterns.forEach(pattern => {
+        for (const match of String(text || '').matchAll(pattern)) {
+          let accession = match[1] || repository.accession;
+          if (repository.key === 'openneuro') accession = accession.toLowerCase();
+
+          found.push({
+            index: match.index,
+            key: `${repository.key}:${accession}`,
+            repository: repository,
+            accession: accession,
+            url: repository.url(accession)
+          });
+        }
+      });
+    });
+
+    const keys = new Set();
+    return found
+      .sort((a, b) => a.index - b.index)
+      .filter(dataset => !keys.has(dataset.key) && keys.add(dataset.key))
+      .map(({ key, repository, accession, url }) => ({ key, repository, accession, url }));
+  }
+
+  /**
+   * Datasets of this year's projects with the projects using each, most
+   * used first
+   */
+  function getIndex() {
+    const index = new Map();
+
+    state.projects.forEach(project => {
+      find(project.data).forEach(dataset => {
+        const entry = index.get(dataset.key) || { dataset: dataset, projects: [] };
+        entry.projects.push(project);
+        index.set(dataset.key, entry);
+      });
+    });
+
+    return [...index.values()].sort((a, b) =>
+      b.projects.length - a.projects.length || a.dataset.key.localeCompare(b.dataset.key));
+  }
+
+  /**
+   * Human readable size (e.g. "84.2 GB", "84,2 Go" in French)
+   */
+  function formatSize(bytes) {
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1000 && unit < SIZE_UNITS.length - 1) {
+      value /= 1000;
+      unit++;
+    }
+
+    return new Intl.NumberFormat(window.BHM.i18n.getLanguage(), {
+      style: 'unit',
+      unit: SIZE_UNITS[unit],
+      unitDisplay: 'short',
+      maximumFractionDigits: 1
+    }).format(value);
+  }
+
+  /**
+   * One dataset card: archive, accession and, from the cache, name,
+   * modalities, size and licence
+   *
+   * @param {Object} dataset - Result of find()
+   * @param {Array<Object>} [projects] - Projects using it (index only)
+   * @returns {string} HTML
+   */
+  function createCard(dataset, projects) {
+    const metadata = state.cache[dataset.key] || {};
+    const modalities = (metadata.modalities || []).filter(Boolean);
+    const size = [
+      typeof metadata.size === 'number' ? formatSize(metadata.size) : '',
+      typeof metadata.files === 'number' ? t('datasets.files', { count: metadata.files }) : ''
+    ].filter(Boolean).join(' · ');
+
+    const details = [
+      [t('datasets.modality'), modalities.join(', ')],
+      [t('datasets.size'), size],
+      [t('datasets.license'), metadata.license || '']
+    ].filter(item => item[1]);
+
+    return `
+      <li class="dataset-card" data-repository="${dataset.repository.key}">
+        <div class="dataset-card-header">
+          <i class="${dataset.repository.icon}" aria-hidden="true"></i>
+          <span class="dataset-card-repository">${escapeHtml(dataset.repository.name)}</span>
+          <code class="dataset-card-accession">${escapeHtml(dataset.accession)}</code>
+        </div>
+        <a class="dataset-card-title" href="${escapeHtml(metadata.url || dataset.url)}" target="_blank" rel="noopener">
+          ${escapeHtml(metadata.name || t('datasets.view', { repository: dataset.repository.name }))}
+        </a>
+        ${details.length > 0 ? `
+          <dl class="dataset-card-meta">
+            ${details.map(([label, value]) => `
+              <div><dt>${label}</dt><dd>${escapeHtml(value)}</dd></div>
+            `).join('')}
+          </dl>
+        ` : ''}
+        ${projects ? `
+          <p class="dataset-card-projects">
+            ${t('datasets.usedBy')}
+            ${projects.map(project =>
+              `<a href="${PROJECTS_HASH}/${encodeURIComponent(String(project.id))}">${escapeHtml(project.title)}</a>`
+            ).join(', ')}
+          </p>
+        ` : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * Cards for the datasets named in a "Data to use" answer ('' when none)
+   *
+   * @param {string} text - "Data to use" answer
+   * @returns {string} HTML
+   */
+  function createCards(text) {
+    const datasets = find(text);
+    if (datasets.length === 0) return '';
+
+    return `
+      <ul class="dataset-cards" aria-label="${t('datasets.list')}">
+        ${datasets.map(dataset => createCard(dataset)).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Draw the index of this year's datasets (collapsed by default)
+   */
+  function renderIndex(container) {
+    const index = getIndex();
+    const bodyId = `${CONTAINER_ID}-body`;
+
+    if (index.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="project-datasets-card">
+        <button type="button" class="btn-datasets-toggle" aria-expanded="${state.open}" aria-controls="${bodyId}">
+          <i class="icofont-database" aria-hidden="true"></i>
+          ${t('datasets.toggle', { count: index.length })}
+        </button>
+
+        <div id="${bodyId}" class="project-datasets-body"${state.open ? '' : ' hidden'}>
+          <p class="datasets-intro">${t('datasets.intro', { year: window.BHM.projects.currentYear })}</p>
+          <ul class="dataset-cards dataset-index" aria-label="${t('datasets.list')}">
+            ${index.map(entry => createCard(entry.dataset, entry.projects)).join('')}
+          </ul>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('.btn-datasets-toggle').addEventListener('click', event => {
+      state.open = !state.open;
+      event.currentTarget.setAttribute('aria-expanded', String(state.open));
+      container.querySelector(`#${bodyId}`).hidden = !state.open;
+    });
+  }
+
+  window.BHM = window.BHM || {};
+  window.BHM.datasets = {
+    find: find,
+    load: load,
+    createCards: createCards
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
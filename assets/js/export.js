@@ -0,0 +1,166 @@
+/**
+ * BrainHack Marseille 2026 - Project Exports
+ * CSV (spreadsheet for room assignment) and schema.org JSON-LD built in the
+ * browser from the normalized projects (see schema.js)
+ */
+
+(function() {
+  'use strict';
+
+  const { splitValues } = window.BHM.utils;
+
+  // CSV columns, in order; `value` returns a string (multi-select answers are
+  // joined with "; " so that commas stay inside one cell)
+  const CSV_COLUMNS = [
+    { name: 'id', value: project => project.id === null ? '' : String(project.id) },
+    { name: 'year', value: project => project.year ? String(project.year) : '' },
+    { name: 'title', value: project => project.title },
+    { name: 'leaders', value: project => joinList(project.leaders) },
+    { name: 'collaborators', value: project => joinList(project.collaborators) },
+    { name: 'team_size', value: project => project.team_size ? project.team_size.label : '' },
+    { name: 'team_min', value: project => project.team_size ? String(project.team_size.min) : '' },
+    { name: 'team_max', value: project => project.team_size && project.team_size.max !== null ? String(project.team_size.max) : '' },
+    { name: 'type', value: project => joinList(project.type) },
+    { name: 'development_status', value: project => project.stage ? project.stage.label : project.development_status },
+    { name: 'topics', value: project => joinList(project.topics) },
+    { name: 'modalities', value: project => joinList(project.modalities) },
+    { name: 'tools', value: project => joinList(project.tools) },
+    { name: 'programming_languages', value: project => joinList(project.programming_languages) },
+    { name: 'git_skills', value: project => (project.git_skill_levels || []).map(skill => skill.label).join('; ') },
+    { name: 'repository', value: project => project.repository },
+    { name: 'communication', value: project => project.communication },
+    { name: 'issue_url', value: project => project.issue_url },
+    { name: 'page_url', value: project => toAbsoluteUrl(project.page_url) },
+    { name: 'created_at', value: project => project.created_at },
+    { name: 'updated_at', value: project => project.updated_at }
+  ];
+
+  /**
+   * Values of a comma separated answer, without the ones the filter bar,
+   * quiz and statistics ignore
+   */
+  function splitList(value) {
+    return [...splitValues(value).values()];
+  }
+
+  /**
+   * Comma separated answer as a "; " list
+   */
+  function joinList(value) {
+    return splitList(value).join('; ');
+  }
+
+  /**
+   * Resolve a site-relative link against the current page
+   */
+  function toAbsoluteUrl(value) {
+    if (!value) return '';
+
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * First http(s) link of a free-text answer
+   */
+  function findUrl(text) {
+    const match = /https?:\/\/[^\s)\]>"']+/.exec(String(text || ''));
+    return match ? match[0] : '';
+  }
+
+  /**
+   * Quote a CSV cell when needed (RFC 4180)
+   */
+  function escapeCsv(value) {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV of the projects, one row each, with a header row
+   * Starts with a byte order mark so that spreadsheet apps read it as UTF-8.
+   *
+   * @param {Array<Object>} projects - Normalized projects
+   * @returns {string}
+   */
+  function toCsv(projects) {
+    const rows = [CSV_COLUMNS.map(column => column.name)].concat(
+      projects.map(project => CSV_COLUMNS.map(column => column.value(project)))
+    );
+
+    return `\uFEFF${rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * schema.org description of one project: SoftwareSourceCode when it has a
+   * repository, CreativeWork otherwise
+   *
+   * @param {Object} project - Normalized project
+   * @param {Object} [options] - `eventName`, see toJsonLd
+   * @returns {Object}
+   */
+  function toSchemaOrg(project, options) {
+    const settings = options || {};
+    const repository = findUrl(project.repository);
+    const url = toAbsoluteUrl(project.page_url) || project.issue_url;
+    const keywords = [].concat(splitList(project.topics), splitList(project.modalities), splitList(project.tools));
+    const languages = splitList(project.programming_languages);
+
+    const item = {
+      '@type': repository ? 'SoftwareSourceCode' : 'CreativeWork',
+      name: project.title
+    };
+
+    if (project.id !== null) item.identifier = String(project.id);
+    if (project.description) item.description = project.description;
+    if (url) item.url = url;
+    if (repository) item.codeRepository = repository;
+    if (repository && languages.length > 0) item.programmingLanguage = languages;
+    if (keywords.length > 0) item.keywords = keywords.join(', ');
+    if (project.image) item.image = toAbsoluteUrl(project.image);
+    if (project.stage) item.creativeWorkStatus = project.stage.label;
+    if (project.created_at) item.dateCreated = project.created_at;
+    if (project.updated_at) item.dateModified = project.updated_at;
+
+    const authors = splitList(project.leaders).map(name => ({ '@type': 'Person', name: name }));
+    if (authors.length > 0) item.author = authors;
+
+    // "..." in the collaborators answer means "and others"
+    const contributors = splitList(project.collaborators)
+      .filter(name => !/^\.+$/.test(name))
+      .map(name => ({ '@type': 'Person', name: name }));
+    if (contributors.length > 0) item.contributor = contributors;
+
+    if (project.year && settings.eventName) {
+      item.isPartOf = { '@type': 'Event', name: `${settings.eventName} ${project.year}` };
+    }
+
+    return item;
+  }
+
+  /**
+   * JSON-LD document (a schema.org graph) describing the projects
+   *
+   * @param {Array<Object>} projects - Normalized projects
+   * @param {Object} options - `eventName` (e.g. "BrainHack Marseille"), used
+   *   to link each project to its edition
+   * @returns {string} Indented JSON
+   */
+  function toJsonLd(projects, options) {
+    return JSON.stringify({
+      '@context': 'https://schema.org',
+      '@graph': projects.map(project => toSchemaOrg(project, options))
+    }, null, 2);
+  }
+
+  window.BHM = window.BHM || {};
+  window.BHM.export = {
+    toCsv: toCsv,
+    toJsonLd: toJsonLd,
+    toSchemaOrg: toSchemaOrg
+  };
+
+})();
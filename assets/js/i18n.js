@@ -0,0 +1,632 @@
+/**
+ * BrainHack Marseille 2026 - Internationalization
+ * English/French message catalogs shared by the static page (data-i18n),
+ * the renderers and the countdown, plus the header language toggle
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'bhm-language';
+  const DEFAULT_LANGUAGE = 'en';
+  const CHANGE_EVENT = 'bhm:languagechange';
+
+  // Messages take {name} parameters; plural messages are {one, other} and
+  // pick their form from the `count` parameter
+  const MESSAGES = {
+    en: {
+      'language.toggle': 'FR',
+      'language.toggleLabel': 'Afficher le site en français',
+
+      'nav.home': 'Home',
+      'nav.coc': 'CoC',
+      'nav.register': 'Register',
+      'nav.projects': 'Projects',
+      'nav.program': 'Program',
+      'nav.team': 'Team',
+      'nav.contacts': 'Contacts',
+
+      'section.coc': 'Code of Conduct',
+      'section.register': 'Register',
+      'section.projects': 'Projects',
+      'section.program': 'Program',
+      'section.team': 'Team',
+      'section.contact': 'Contact',
+      'section.previousEditions': 'Previous Editions',
+
+      // Static page text; the `Html` messages keep their links and emphasis
+      // (data-i18n-html)
+      'page.dates': '28 - 30 January 2026',
+      'page.cocHtml': '<a href="https://brainhack.org/code-of-conduct" target="_blank">As all Brainhacks</a>, ' +
+        'BrainHack Marseille is dedicated to providing a <b>harassment-free Brainhack experience for everyone</b>,<br> ' +
+        'regardless of gender, gender identity and expression, sexual orientation, disability, physical appearance, ' +
+        'body size, race, age or religion.<br><br>' +
+        'We do not tolerate harassment of event participants in any form.<br><br>' +
+        'Sexual language and imagery is not appropriate for any event venue, including talks.<br><br>' +
+        'Event participants violating these rules may be sanctioned or expelled from the event.',
+      'page.registrationClosedHtml': '<b>Sorry :-( Registration is now <font color="#FF0000">CLOSED</font>.</b>',
+      'page.registrationContactHtml': '<br>You may email us at ' +
+        '<a href="mailto:brainhack.marseille@gmail.com">brainhack.marseille@gmail.com</a> for any inquiries.',
+      'page.projectsIntroHtml': 'If you want to <b>submit a project</b> click on the button below, fill up the form, ' +
+        'and submit the github issue. Projects can be anything you\'d like to work on during the event with other ' +
+        'people (coding, discussing a procedure with coworkers, brainstorming about a new idea), as long as you\'re ' +
+        'ready to minimally organize this!',
+      'page.submitProject': 'SUBMIT PROJECT',
+      'page.previousProjects': 'To have an idea of the projects submitted in previous editions, check out the following:',
+      'page.viewProjects': 'View Projects',
+      'page.helpTitle': 'Need Help With Your Project?',
+      'page.helpText': 'We\'re here to assist you in framing and developing your project idea!',
+      'page.programTracksHtml': 'The train track session will take place on the Wednesday <b>28th January</b>, ' +
+        'and there will be two sessions (morning /afternoon)<br>' +
+        '- The morning will be dedicated to coding, and 2 groups will be split according to coding skills ' +
+        '(Beginner / Advanced)<br>' +
+        '- The afternoon will be splitted, and 2 groups will be split according to interest in Open Software / ' +
+        'Open Hardware techniques',
+      'page.programProjectsHtml': 'On <b>Thursday 29th</b> and <b>Friday 30th</b> January 2026, all participants ' +
+        'will have time to work on projects.',
+      'page.role.researchEngineer': 'Research Engineer',
+      'page.role.professor': 'Professor',
+      'page.role.researchAssociate': 'Research Associate',
+      'page.role.dataAnalysisEngineer': 'Data Analysis Engineer',
+      'page.role.postdoc': 'Postdoc',
+      'page.role.phdStudent': 'PhD student',
+      'page.location': 'Location:',
+      'page.venue': 'Bâtiment pédagogique ( Yellow Building / Le pavillon jaune) Timone campus',
+      'page.campusMap': '(click here to see map of AMU Timone campus)',
+      'page.email': 'Email:',
+      'page.largerMap': 'View Larger Map',
+      'page.previousEditions': 'Explore the history of BrainHack Marseille through our past events',
+      'page.viewEdition': 'View Edition',
+
+      'countdown.days': { one: '{count} Day', other: '{count} Days' },
+      'countdown.hours': { one: '{count} Hour', other: '{count} Hours' },
+      'countdown.minutes': { one: '{count} Minute', other: '{count} Minutes' },
+      'countdown.seconds': { one: '{count} Second', other: '{count} Seconds' },
+      'countdown.register': '%D %H %M %S left to register',
+      'countdown.submit': '%D %H %M %S left to submit a project',
+      'countdown.start': '%D %H %M %S to go',
+      'countdown.running': 'BrainHack is on! %D %H %M %S left to hack',
+      'countdown.over': 'BrainHack Marseille {year} is over',
+      'countdown.seeProjects': 'see projects',
+
+      'common.loading': 'Loading...',
+
+      'offline.savedAt': 'Offline – showing data from {time}',
+      'offline.saved': 'Offline – showing saved data',
+
+      'program.loading': 'Loading program...',
+      'program.location': 'Location:',
+      'program.onwards': '{start} onwards',
+      'program.addToCalendar': 'Add to calendar',
+      'program.addSlotToCalendar': 'Add “{title}” to calendar',
+      'program.calendarLabel': 'Add to calendar:',
+      'program.wholeProgram': 'Whole program',
+      'program.now': 'Now:',
+      'program.next': 'Next:',
+      'program.inMinutes': 'in {minutes} min',
+      'program.inHours': 'in {hours} h',
+      'program.inHoursMinutes': 'in {hours} h {minutes}',
+      'program.and': 'and',
+      'program.errorTitle': 'Error Loading Program',
+      'program.errorText': 'Sorry, we couldn\'t load the program. Please try refreshing the page.',
+
+      'projects.loading': 'Loading submitted projects...',
+      'projects.title': 'BrainHack Marseille {year} Projects',
+      'projects.titleAll': 'BrainHack Marseille Projects: All Editions',
+      'projects.edition': 'Edition',
+      'projects.allEditions': 'All editions',
+      'projects.searchPlaceholder': 'Search titles, leaders, skills, tools, goals...',
+      'projects.searchLabel': 'Search projects',
+      'projects.clearFilters': 'Clear filters',
+      'projects.export': 'Export',
+      'projects.exportCsv': 'CSV',
+      'projects.exportJsonLd': 'JSON-LD',
+      'projects.exportPrint': 'Print booklet',
+      'projects.exportAll': 'Ignore filters (all editions)',
+      'projects.sortBy': 'Sort by',
+      'projects.sort.relevance': 'Best match',
+      'projects.sort.newest': 'Newest',
+      'projects.sort.updated': 'Recently updated',
+      'projects.sort.title': 'Alphabetical',
+      'projects.sort.stage': 'Development stage',
+      'projects.sort.team': 'Team size',
+      'projects.facet.topics': 'Topics',
+      'projects.facet.modalities': 'Modalities',
+      'projects.facet.programming_languages': 'Languages',
+      'projects.facet.tools': 'Tools',
+      'projects.facet.type': 'Project Type',
+      'projects.facet.development_status': 'Development Status',
+      'projects.count': { one: '{count} project', other: '{count} projects' },
+      'projects.showing': { one: 'Showing {visible} of {count} project', other: 'Showing {visible} of {count} projects' },
+      'projects.noMatch': 'No project matches your search and filters.',
+      'projects.noneForYear': 'No project submitted for {year} yet.',
+      'projects.badgeNew': 'New',
+      'projects.badgeUpdated': 'Updated',
+      'projects.leaders': 'Leaders',
+      'projects.collaborators': 'Collaborators',
+      'projects.numCollaborators': 'Number of Collaborators',
+      'projects.showDetails': 'Show Details',
+      'projects.hideDetails': 'Hide Details',
+      'projects.closeDetails': 'Close Details',
+      'projects.viewOnGithub': 'View on GitHub',
+      'projects.viewOnPage': 'View on the {year} page',
+      'projects.description': 'Description',
+      'projects.goals': 'Goals for BrainHack Marseille {year}',
+      'projects.skills': 'Skills Needed',
+      'projects.learning': 'What You\'ll Learn',
+      'projects.goodFirstIssues': 'Good First Issues',
+      'projects.data': 'Data to Use',
+      'projects.type': 'Project Type',
+      'projects.status': 'Development Status',
+      'projects.gitSkills': 'Git Skills',
+      'projects.programmingLanguages': 'Programming Languages',
+      'projects.tools': 'Tools',
+      'projects.modalities': 'Modalities',
+      'projects.topics': 'Topics',
+      'projects.notSpecified': 'Not specified',
+      'projects.notApplicable': 'Not applicable',
+      'projects.emptyTitle': 'No Projects Submitted Yet',
+      'projects.emptyText': 'Projects will appear here once they are submitted and approved.',
+      'projects.emptyCall': 'Be the first to submit a project!',
+      'projects.offlineTitle': 'You Are Offline',
+      'projects.offlineText': 'No saved copy of the projects is available on this device yet.',
+      'projects.offlineRetry': 'They will appear here as soon as the connection is back.',
+      'projects.errorTitle': 'Error Loading Projects',
+      'projects.errorText': 'Sorry, we couldn\'t load the projects. Please try refreshing the page.',
+      'projects.errorContact': 'If the problem persists, contact the organizers.',
+      'projects.communication': 'Communication Channel',
+      'projects.links.code': 'Code',
+      'projects.links.chat': 'Chat',
+      'projects.links.docs': 'Documentation',
+      'projects.links.data': 'Data',
+      'projects.shortlistStar': 'Shortlist “{title}”',
+      'projects.shortlistButton': 'My shortlist ({count})',
+      'projects.shortlistTitle': 'My shortlist',
+      'projects.shortlistShared': 'Shared shortlist',
+      'projects.shortlistSave': 'Save as my shortlist',
+      'projects.shortlistClear': 'Clear',
+      'projects.shortlistClose': 'Close the shortlist',
+      'projects.shortlistShare': 'Share link',
+      'projects.shortlistCopy': 'Copy',
+      'projects.shortlistCopied': 'Copied!',
+      'projects.shortlistRemove': 'Remove “{title}” from the shortlist',
+      'projects.shortlistCompare': 'Comparison of the shortlisted projects',
+      'projects.shortlistEmpty': 'Star projects with ☆ to compare them here.',
+
+      'quiz.toggle': 'Not sure where to start? Find a project that fits you',
+      'quiz.intro': 'Answer a few questions and we will rank this year\'s projects for you. Nothing leaves your browser.',
+      'quiz.languagesQuestion': 'Programming languages you know',
+      'quiz.modalitiesQuestion': 'Data modalities you have worked with',
+      'quiz.toolsQuestion': 'Tools you have used',
+      'quiz.gitQuestion': 'Your Git level',
+      'quiz.gitAnswer0': 'I have never used Git',
+      'quiz.gitAnswer1': 'I can commit and push',
+      'quiz.gitAnswer2': 'I work with branches and pull requests',
+      'quiz.gitAnswer3': 'I set up continuous integration',
+      'quiz.git1': 'commit & push',
+      'quiz.git2': 'branches & pull requests',
+      'quiz.git3': 'continuous integration',
+      'quiz.goalQuestion': 'During the hackathon, you would rather...',
+      'quiz.goal.learn': 'learn something new',
+      'quiz.goal.contribute': 'contribute with what you already know',
+      'quiz.submit': 'Find my projects',
+      'quiz.resultsTitle': 'Projects for you, best match first',
+      'quiz.reasonMatches': 'matches {items}',
+      'quiz.reasonLearn': 'needs {items} which you want to learn',
+      'quiz.reasonGap': 'needs {items}, which you have not used yet',
+      'quiz.reasonGitOk': 'your Git level covers {level}',
+      'quiz.reasonGitLearn': 'uses Git ({level}), a chance to learn it',
+      'quiz.reasonGitGap': 'asks for Git: {level}',
+      'quiz.reasonNone': 'no specific requirement listed',
+      'stats.toggle': 'Project statistics',
+      'stats.projects': { one: 'project', other: 'projects' },
+      'stats.collaborators': { one: 'declared collaborator ({answered} projects answered)', other: 'declared collaborators ({answered} projects answered)' },
+      'stats.byEdition': 'Projects per edition',
+      'stats.timeline': 'Submissions over time',
+      'stats.timelineSummary': { one: '{count} project submitted on {first}', other: '{count} projects submitted from {first} to {last}' },
+      'stats.statusOther': 'Other (free text)',
+      'stats.noData': 'Not answered in this edition',
+      'stats.noDates': 'No submission dates for this edition',
+      'stats.moreValues': { one: 'and {count} more value', other: 'and {count} more values' },
+      'datasets.toggle': { one: '{count} public dataset used this year', other: '{count} public datasets used this year' },
+      'datasets.intro': 'Datasets named in the "Data to Use" answers of the {year} projects.',
+      'datasets.list': 'Datasets',
+      'datasets.view': 'View on {repository}',
+      'datasets.modality': 'Modality',
+      'datasets.size': 'Size',
+      'datasets.files': { one: '{count} file', other: '{count} files' },
+      'datasets.license': 'License',
+      'datasets.usedBy': 'Used by'
+    },
+
+    fr: {
+      'language.toggle': 'EN',
+      'language.toggleLabel': 'Show the site in English',
+
+      'nav.home': 'Accueil',
+      'nav.coc': 'Code de conduite',
+      'nav.register': 'Inscription',
+      'nav.projects': 'Projets',
+      'nav.program': 'Programme',
+      'nav.team': 'Équipe',
+      'nav.contacts': 'Contacts',
+
+      'section.coc': 'Code de conduite',
+      'section.register': 'Inscription',
+      'section.projects': 'Projets',
+      'section.program': 'Programme',
+      'section.team': 'Équipe',
+      'section.contact': 'Contact',
+      'section.previousEditions': 'Éditions précédentes',
+
+      'page.dates': '28 - 30 janvier 2026',
+      'page.cocHtml': '<a href="https://brainhack.org/code-of-conduct" target="_blank">Comme tous les Brainhacks</a>, ' +
+        'BrainHack Marseille s\'engage à offrir <b>une expérience Brainhack sans harcèlement pour tout le monde</b>,<br> ' +
+        'quels que soient le genre, l\'identité et l\'expression de genre, l\'orientation sexuelle, le handicap, ' +
+        'l\'apparence physique, la corpulence, l\'origine, l\'âge ou la religion.<br><br>' +
+        'Nous ne tolérons aucune forme de harcèlement envers les participants.<br><br>' +
+        'Les propos et images à caractère sexuel n\'ont leur place dans aucun lieu de l\'événement, y compris ' +
+        'pendant les présentations.<br><br>' +
+        'Les participants qui enfreignent ces règles peuvent être sanctionnés ou exclus de l\'événement.',
+      'page.registrationClosedHtml': '<b>Désolé :-( Les inscriptions sont <font color="#FF0000">CLOSES</font>.</b>',
+      'page.registrationContactHtml': '<br>Pour toute question, écrivez-nous à ' +
+        '<a href="mailto:brainhack.marseille@gmail.com">brainhack.marseille@gmail.com</a>.',
+      'page.projectsIntroHtml': 'Pour <b>proposer un projet</b>, cliquez sur le bouton ci-dessous, remplissez le ' +
+        'formulaire et soumettez l\'issue GitHub. Un projet peut être tout ce sur quoi vous aimeriez travailler ' +
+        'avec d\'autres pendant l\'événement (coder, discuter d\'une procédure avec des collègues, réfléchir à une ' +
+        'nouvelle idée), du moment que vous êtes prêt·e à l\'organiser un minimum !',
+      'page.submitProject': 'PROPOSER UN PROJET',
+      'page.previousProjects': 'Pour vous faire une idée des projets proposés lors des éditions précédentes, c\'est par ici :',
+      'page.viewProjects': 'Voir les projets',
+      'page.helpTitle': 'Besoin d\'aide pour votre projet ?',
+      'page.helpText': 'Nous sommes là pour vous aider à cadrer et développer votre idée de projet !',
+      'page.programTracksHtml': 'La session de formation aura lieu le mercredi <b>28 janvier</b>, en deux temps ' +
+        '(matin / après-midi)<br>' +
+        '- Le matin est consacré au code, en 2 groupes selon le niveau en programmation (Débutant / Avancé)<br>' +
+        '- L\'après-midi, 2 groupes sont formés selon l\'intérêt pour les techniques Open Software / Open Hardware',
+      'page.programProjectsHtml': 'Le <b>jeudi 29</b> et le <b>vendredi 30</b> janvier 2026, tous les participants ' +
+        'auront du temps pour travailler sur les projets.',
+      'page.role.researchEngineer': 'Ingénieur·e de recherche',
+      'page.role.professor': 'Professeur·e',
+      'page.role.researchAssociate': 'Chercheur·se associé·e',
+      'page.role.dataAnalysisEngineer': 'Ingénieur·e en analyse de données',
+      'page.role.postdoc': 'Postdoctorant·e',
+      'page.role.phdStudent': 'Doctorant·e',
+      'page.location': 'Lieu :',
+      'page.venue': 'Bâtiment pédagogique (le pavillon jaune), campus de la Timone',
+      'page.campusMap': '(cliquez ici pour voir le plan du campus de la Timone d\'AMU)',
+      'page.email': 'E-mail :',
+      'page.largerMap': 'Agrandir la carte',
+      'page.previousEditions': 'Découvrez l\'histoire de BrainHack Marseille à travers ses éditions passées',
+      'page.viewEdition': 'Voir l\'édition',
+
+      'countdown.days': { one: '{count} jour', other: '{count} jours' },
+      'countdown.hours': { one: '{count} heure', other: '{count} heures' },
+      'countdown.minutes': { one: '{count} minute', other: '{count} minutes' },
+      'countdown.seconds': { one: '{count} seconde', other: '{count} secondes' },
+      'countdown.register': 'Plus que %D %H %M %S pour s\'inscrire',
+      'countdown.submit': 'Plus que %D %H %M %S pour proposer un projet',
+      'countdown.start': 'Début dans %D %H %M %S',
+      'countdown.running': 'C\'est parti ! Encore %D %H %M %S de hackathon',
+      'countdown.over': 'BrainHack Marseille {year} est terminé',
+      'countdown.seeProjects': 'voir les projets',
+
+      'common.loading': 'Chargement...',
+
+      'offline.savedAt': 'Hors ligne – données enregistrées à {time}',
+      'offline.saved': 'Hors ligne – affichage des données enregistrées',
+
+      'program.loading': 'Chargement du programme...',
+      'program.location': 'Lieu :',
+      'program.onwards': 'À partir de {start}',
+      'program.addToCalendar': 'Ajouter à l\'agenda',
+      'program.addSlotToCalendar': 'Ajouter « {title} » à l\'agenda',
+      'program.calendarLabel': 'Ajouter à l\'agenda :',
+      'program.wholeProgram': 'Tout le programme',
+      'program.now': 'En cours :',
+      'program.next': 'Ensuite :',
+      'program.inMinutes': 'dans {minutes} min',
+      'program.inHours': 'dans {hours} h',
+      'program.inHoursMinutes': 'dans {hours} h {minutes}',
+      'program.and': 'et',
+      'program.errorTitle': 'Erreur de chargement du programme',
+      'program.errorText': 'Désolé, le programme n\'a pas pu être chargé. Veuillez rafraîchir la page.',
+
+      'projects.loading': 'Chargement des projets soumis...',
+      'projects.title': 'Projets BrainHack Marseille {year}',
+      'projects.titleAll': 'Projets BrainHack Marseille : toutes les éditions',
+      'projects.edition': 'Édition',
+      'projects.allEditions': 'Toutes les éditions',
+      'projects.searchPlaceholder': 'Rechercher titres, porteurs, compétences, outils, objectifs...',
+      'projects.searchLabel': 'Rechercher des projets',
+      'projects.clearFilters': 'Effacer les filtres',
+      'projects.export': 'Exporter',
+      'projects.exportCsv': 'CSV',
+      'projects.exportJsonLd': 'JSON-LD',
+      'projects.exportPrint': 'Imprimer le livret',
+      'projects.exportAll': 'Ignorer les filtres (toutes les éditions)',
+      'projects.sortBy': 'Trier par',
+      'projects.sort.relevance': 'Pertinence',
+      'projects.sort.newest': 'Plus récents',
+      'projects.sort.updated': 'Mis à jour récemment',
+      'projects.sort.title': 'Ordre alphabétique',
+      'projects.sort.stage': 'Stade de développement',
+      'projects.sort.team': 'Taille de l\'équipe',
+      'projects.facet.topics': 'Thèmes',
+      'projects.facet.modalities': 'Modalités',
+      'projects.facet.programming_languages': 'Langages',
+      'projects.facet.tools': 'Outils',
+      'projects.facet.type': 'Type de projet',
+      'projects.facet.development_status': 'État d\'avancement',
+      'projects.count': { one: '{count} projet', other: '{count} projets' },
+      'projects.showing': { one: '{visible} sur {count} projet', other: '{visible} sur {count} projets' },
+      'projects.noMatch': 'Aucun projet ne correspond à votre recherche et à vos filtres.',
+      'projects.noneForYear': 'Aucun projet soumis pour {year} pour le moment.',
+      'projects.badgeNew': 'Nouveau',
+      'projects.badgeUpdated': 'Mis à jour',
+      'projects.leaders': 'Porteurs',
+      'projects.collaborators': 'Collaborateurs',
+      'projects.numCollaborators': 'Nombre de collaborateurs',
+      'projects.showDetails': 'Afficher les détails',
+      'projects.hideDetails': 'Masquer les détails',
+      'projects.closeDetails': 'Fermer les détails',
+      'projects.viewOnGithub': 'Voir sur GitHub',
+      'projects.viewOnPage': 'Voir sur la page {year}',
+      'projects.description': 'Description',
+      'projects.goals': 'Objectifs pour BrainHack Marseille {year}',
+      'projects.skills': 'Compétences requises',
+      'projects.learning': 'Ce que vous apprendrez',
+      'projects.goodFirstIssues': 'Premières contributions',
+      'projects.data': 'Données utilisées',
+      'projects.type': 'Type de projet',
+      'projects.status': 'État d\'avancement',
+      'projects.gitSkills': 'Compétences Git',
+      'projects.programmingLanguages': 'Langages de programmation',
+      'projects.tools': 'Outils',
+      'projects.modalities': 'Modalités',
+      'projects.topics': 'Thèmes',
+      'projects.notSpecified': 'Non précisé',
+      'projects.notApplicable': 'Non applicable',
+      'projects.emptyTitle': 'Aucun projet soumis pour le moment',
+      'projects.emptyText': 'Les projets apparaîtront ici une fois soumis et validés.',
+      'projects.emptyCall': 'Soyez les premiers à proposer un projet !',
+      'projects.offlineTitle': 'Vous êtes hors ligne',
+      'projects.offlineText': 'Aucune copie des projets n\'est encore enregistrée sur cet appareil.',
+      'projects.offlineRetry': 'Ils apparaîtront ici dès le retour de la connexion.',
+      'projects.errorTitle': 'Erreur de chargement des projets',
+      'projects.errorText': 'Désolé, les projets n\'ont pas pu être chargés. Essayez de rafraîchir la page.',
+      'projects.errorContact': 'Si le problème persiste, contactez les organisateurs.',
+      'projects.communication': 'Canal de communication',
+      'projects.links.code': 'Code',
+      'projects.links.chat': 'Discussion',
+      'projects.links.docs': 'Documentation',
+      'projects.links.data': 'Données',
+      'projects.shortlistStar': 'Sélectionner « {title} »',
+      'projects.shortlistButton': 'Ma sélection ({count})',
+      'projects.shortlistTitle': 'Ma sélection',
+      'projects.shortlistShared': 'Sélection partagée',
+      'projects.shortlistSave': 'Enregistrer comme ma sélection',
+      'projects.shortlistClear': 'Vider',
+      'projects.shortlistClose': 'Fermer la sélection',
+      'projects.shortlistShare': 'Lien de partage',
+      'projects.shortlistCopy': 'Copier',
+      'projects.shortlistCopied': 'Copié !',
+      'projects.shortlistRemove': 'Retirer « {title} » de la sélection',
+      'projects.shortlistCompare': 'Comparaison des projets sélectionnés',
+      'projects.shortlistEmpty': 'Ajoutez des projets avec ☆ pour les comparer ici.',
+
+      'quiz.toggle': 'Vous ne savez pas par où commencer ? Trouvez le projet qui vous correspond',
+      'quiz.intro': 'Répondez à quelques questions et nous classerons les projets de cette année pour vous. Rien ne quitte votre navigateur.',
+      'quiz.languagesQuestion': 'Langages de programmation que vous connaissez',
+      'quiz.modalitiesQuestion': 'Modalités de données que vous avez déjà utilisées',
+      'quiz.toolsQuestion': 'Outils que vous avez déjà utilisés',
+      'quiz.gitQuestion': 'Votre niveau Git',
+      'quiz.gitAnswer0': 'Je n\'ai jamais utilisé Git',
+      'quiz.gitAnswer1': 'Je sais faire commit et push',
+      'quiz.gitAnswer2': 'Je travaille avec des branches et des pull requests',
+      'quiz.gitAnswer3': 'Je mets en place de l\'intégration continue',
+      'quiz.git1': 'commit et push',
+      'quiz.git2': 'branches et pull requests',
+      'quiz.git3': 'intégration continue',
+      'quiz.goalQuestion': 'Pendant le hackathon, vous préférez...',
+      'quiz.goal.learn': 'apprendre quelque chose de nouveau',
+      'quiz.goal.contribute': 'contribuer avec ce que vous savez déjà',
+      'quiz.submit': 'Trouver mes projets',
+      'quiz.resultsTitle': 'Projets pour vous, du plus adapté au moins adapté',
+      'quiz.reasonMatches': 'correspond à {items}',
+      'quiz.reasonLearn': 'demande {items}, que vous voulez apprendre',
+      'quiz.reasonGap': 'demande {items}, que vous n\'avez pas encore utilisé',
+      'quiz.reasonGitOk': 'votre niveau Git couvre {level}',
+      'quiz.reasonGitLearn': 'utilise Git ({level}), l\'occasion de l\'apprendre',
+      'quiz.reasonGitGap': 'demande Git : {level}',
+      'quiz.reasonNone': 'aucun prérequis particulier indiqué',
+      'stats.toggle': 'Statistiques des projets',
+      'stats.projects': { one: 'projet', other: 'projets' },
+      'stats.collaborators': { one: 'collaborateur déclaré ({answered} projets ont répondu)', other: 'collaborateurs déclarés ({answered} projets ont répondu)' },
+      'stats.byEdition': 'Projets par édition',
+      'stats.timeline': 'Soumissions au fil du temps',
+      'stats.timelineSummary': { one: '{count} projet soumis le {first}', other: '{count} projets soumis du {first} au {last}' },
+      'stats.statusOther': 'Autre (texte libre)',
+      'stats.noData': 'Non renseigné pour cette édition',
+      'stats.noDates': 'Pas de date de soumission pour cette édition',
+      'stats.moreValues': { one: 'et {count} autre valeur', other: 'et {count} autres valeurs' },
+      'datasets.toggle': { one: '{count} jeu de données public utilisé cette année', other: '{count} jeux de données publics utilisés cette année' },
+      'datasets.intro': 'Jeux de données cités dans la rubrique « Données utilisées » des projets {year}.',
+      'datasets.list': 'Jeux de données',
+      'datasets.view': 'Voir sur {repository}',
+      'datasets.modality': 'Modalité',
+      'datasets.size': 'Taille',
+      'datasets.files': { one: '{count} fichier', other: '{count} fichiers' },
+      'datasets.license': 'Licence',
+      'datasets.usedBy': 'Utilisé par'
+    }
+  };
+
+  const pluralRules = {};
+  let language = detectLanguage();
+
+  /**
+   * Supported language from a code ("fr-FR" -> "fr"), or null
+   */
+  function normalize(code) {
+    const value = String(code || '').toLowerCase().split('-')[0];
+    return MESSAGES[value] ? value : null;
+  }
+
+  /**
+   * Saved choice, else the browser's preferred language, else English
+   */
+  function detectLanguage() {
+    try {
+      const saved = normalize(localStorage.getItem(STORAGE_KEY));
+      if (saved) return saved;
+    } catch (error) {
+      // Storage can be unavailable (private browsing, blocked cookies)
+    }
+
+    const preferred = navigator.languages && navigator.languages.length
+      ? navigator.languages
+      : [navigator.language];
+
+    for (const code of preferred) {
+      const supported = normalize(code);
+      if (supported) return supported;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Plural category of a count ("one" or "other")
+   */
+  function getPluralForm(count, lang) {
+    if (window.Intl && Intl.PluralRules) {
+      pluralRules[lang] = pluralRules[lang] || new Intl.PluralRules(lang);
+      return pluralRules[lang].select(count);
+    }
+    // French uses the singular for 0 and 1, English only for 1
+    return (lang === 'fr' ? count < 2 : count === 1) ? 'one' : 'other';
+  }
+
+  /**
+   * Translate a message key
+   *
+   * @param {string} key - Catalog key (e.g. "projects.showDetails")
+   * @param {Object} [params] - Values for {name} placeholders; `count` also
+   *   selects the plural form
+   * @param {string} [lang] - Language to use instead of the current one
+   * @returns {string} Message, falling back to English then to the key
+   */
+  function t(key, params, lang) {
+    const code = normalize(lang) || language;
+    let message = key in MESSAGES[code] ? MESSAGES[code][key] : MESSAGES[DEFAULT_LANGUAGE][key];
+
+    if (message === undefined) {
+      console.warn(`⚠️ Missing translation: ${key}`);
+      return key;
+    }
+
+    const values = params || {};
+
+    if (typeof message === 'object') {
+      message = message[getPluralForm(Number(values.count) || 0, code)] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+  }
+
+  /**
+   * Check whether a catalog has a message
+   */
+  function has(key, lang) {
+    const code = normalize(lang) || language;
+    return key in MESSAGES[code];
+  }
+
+  /**
+   * "name:value;name:value" attribute as pairs
+   */
+  function parsePairs(value) {
+    return String(value || '').split(';')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([name, text]) => name && text);
+  }
+
+  /**
+   * Translate the static text of a container: data-i18n replaces the text
+   * content, data-i18n-html the markup (catalog messages only, never data),
+   * data-i18n-attr="placeholder:key;title:key" sets attributes, and
+   * data-i18n-params="year:2026" fills the {name} placeholders of both
+   */
+  function apply(root) {
+    const container = root || document;
+    const getParams = element => Object.fromEntries(parsePairs(element.getAttribute('data-i18n-params')));
+
+    container.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.getAttribute('data-i18n'), getParams(element));
+    });
+
+    container.querySelectorAll('[data-i18n-html]').forEach(element => {
+      element.innerHTML = t(element.getAttribute('data-i18n-html'), getParams(element));
+    });
+
+    container.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      parsePairs(element.getAttribute('data-i18n-attr')).forEach(([attribute, key]) => {
+        element.setAttribute(attribute, t(key, getParams(element)));
+      });
+    });
+  }
+
+  /**
+   * Switch language, remember it and let the renderers update
+   */
+  function setLanguage(lang) {
+    const code = normalize(lang);
+    if (!code) return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      // The choice then only lasts for this page
+    }
+
+    if (code === language) return;
+
+    language = code;
+    document.documentElement.lang = language;
+    apply(document);
+
+    document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { language: language } }));
+  }
+
+  /**
+   * Call `callback(language)` after every language switch
+   */
+  function onChange(callback) {
+    document.addEventListener(CHANGE_EVENT, event => callback(event.detail.language));
+  }
+
+  /**
+   * Header toggle (also in the mobile menu cloned by main.js)
+   */
+  document.addEventListener('click', event => {
+    const toggle = event.target.closest('[data-language-toggle]');
+    if (!toggle) return;
+
+    event.preventDefault();
+    setLanguage(language === 'fr' ? 'en' : 'fr');
+  });
+
+  document.documentElement.lang = language;
+  apply(document);
+
+  window.BHM = window.BHM || {};
+  window.BHM.i18n = {
+    t: t,
+    has: has,
+    apply: apply,
+    getLanguage: () => language,
+    setLanguage: setLanguage,
+    onChange: onChange
+  };
+
+})();
@@ -0,0 +1,147 @@
+/**
+ * BrainHack Marseille 2026 - iCalendar Export
+ * Builds RFC 5545 .ics files in the browser (offered for download with
+ * BHM.utils.download)
+ */
+
+(function() {
+  'use strict';
+
+  const PRODUCT_ID = '-//BrainHack Marseille//Program//EN';
+  const MAX_LINE_BYTES = 75;
+
+  // Timezone definitions for the zones the program can use (RFC 5545 §3.6.5)
+  const VTIMEZONES = {
+    'Europe/Paris': [
+      'BEGIN:VTIMEZONE',
+      'TZID:Europe/Paris',
+      'BEGIN:DAYLIGHT',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0200',
+      'TZNAME:CEST',
+      'DTSTART:19700329T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'TZOFFSETFROM:+0200',
+      'TZOFFSETTO:+0100',
+      'TZNAME:CET',
+      'DTSTART:19701025T030000',
+      'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]
+  };
+
+  /**
+   * Escape a TEXT value (backslash, separators and line breaks)
+   */
+  function escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets, continuation lines start with a space
+   * (never splitting a multi-byte character)
+   */
+  function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      const limit = parts.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+
+      if (bytes + size > limit) {
+        parts.push(current);
+        current = '';
+        bytes = 0;
+      }
+      current += char;
+      bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Local date-time value ("2026-01-28", "09:30" -> "20260128T093000")
+   */
+  function formatLocal(date, time) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '').padStart(4, '0')}00`;
+  }
+
+  /**
+   * UTC timestamp value for DTSTAMP and LAST-MODIFIED
+   */
+  function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Build an .ics calendar
+   *
+   * Calendars keep the copy of an event (same UID) with the latest DTSTAMP,
+   * so the stamp is the time the data last changed, not the download time.
+   *
+   * @param {Object} calendar - `name`, `timezone`, optional `modified`
+   *   (Date or ISO string of the last change of the data) and `events`, each
+   *   with `uid`, `date` ("YYYY-MM-DD"), `start`/`end` ("HH:MM", end
+   *   optional), `summary` and optional `location`, `description` and `url`
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  function createCalendar(calendar) {
+    const timezone = calendar.timezone;
+    const zoneLines = VTIMEZONES[timezone];
+    // Without a known definition, times are written as floating local times
+    const zoneParam = zoneLines ? `;TZID=${timezone}` : '';
+    const modified = calendar.modified ? new Date(calendar.modified) : null;
+    const stamp = formatUtc(modified && !isNaN(modified) ? modified : new Date());
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+
+    if (calendar.name) lines.push(`X-WR-CALNAME:${escapeText(calendar.name)}`);
+    if (zoneLines) lines.push(`X-WR-TIMEZONE:${timezone}`, ...zoneLines);
+
+    calendar.events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART${zoneParam}:${formatLocal(event.date, event.start)}`
+      );
+
+      if (modified && !isNaN(modified)) lines.push(`LAST-MODIFIED:${stamp}`);
+      if (event.end) lines.push(`DTEND${zoneParam}:${formatLocal(event.date, event.end)}`);
+      lines.push(`SUMMARY:${escapeText(event.summary)}`);
+      if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+      if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      if (event.url) lines.push(`URL:${event.url}`);
+
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  window.BHM = window.BHM || {};
+  window.BHM.ics = {
+    createCalendar: createCalendar
+  };
+
+})();
@@ -0,0 +1,262 @@
+/**
+ * BrainHack Marseille 2026 - Structured Data
+ * Injects a schema.org JSON-LD graph for search engines and Brainhack Global
+ * aggregators: the Event (dates from the program JSON, registration deadline
+ * from the countdown), its series with the past editions, and an ItemList of
+ * this year's projects (as loaded by the grid, updated when it refreshes)
+ */
+
+(function() {
+  'use strict';
+
+  const { loadJson } = window.BHM.utils;
+
+  // Configuration
+  const PROGRAM_JSON_URL = 'assets/data/program_2026.json';
+  const SCRIPT_ID = 'bhm-structured-data';
+  const SITE_URL = 'https://brainhack-marseille.github.io/';
+  const DEFAULT_TIMEZONE = 'Europe/Paris';
+  const SCHEMA = 'https://schema.org/';
+
+  const SERIES_NAME = 'BrainHack Marseille';
+  const DESCRIPTION = 'Hackathon in Marseille where neuroscientists, engineers ' +
+    'and students work together on open neuroscience projects, part of Brainhack Global.';
+
+  const ORGANIZER = {
+    '@type': 'Organization',
+    name: 'BrainHack Marseille',
+    email: 'brainhack.marseille@gmail.com',
+    url: SITE_URL
+  };
+
+  // Timone campus (the venue of the program JSON is the building)
+  const ADDRESS = {
+    '@type': 'PostalAddress',
+    streetAddress: '27 Boulevard Jean Moulin',
+    postalCode: '13385',
+    addressLocality: 'Marseille',
+    addressCountry: 'FR'
+  };
+  const GEO = { '@type': 'GeoCoordinates', latitude: 43.288831, longitude: 5.400156 };
+
+  // Past editions with an archived page, newest first (dates from their pages)
+  const PAST_EDITIONS = [
+    { year: 2024, startDate: '2024-11-27', endDate: '2024-11-29', url: 'BHM_2024/BHM_2024.html' },
+    { year: 2023, startDate: '2023-12-04', endDate: '2023-12-06', url: 'BHM_2023/BHM_2023.html' },
+    { year: 2022, startDate: '2022-11-28', endDate: '2022-11-30', url: 'BHM_2022/BHM_2022.html' },
+    { year: 2021, startDate: '2021-12-06', endDate: '2021-12-08', url: 'BHM_2021/BHM_2021.html' },
+    { year: 2020, startDate: '2020-12-02', endDate: '2020-12-04', url: 'BHM_2020/BHM_2020.html' }
+  ];
+
+  const state = {
+    event: null,
+    projectList: null
+  };
+
+  /**
+   * Main initialization function
+   * The event and the projects arrive independently: either one can be
+   * published without the other.
+   */
+  function init() {
+    loadJson(PROGRAM_JSON_URL)
+      .then(program => {
+        state.event = Array.isArray(program.days) ? createEvent(program) : null;
+        if (state.event) publish();
+      })
+      .catch(() => {
+        console.warn('⚠️ Structured data: no event, the program could not be loaded');
+      });
+
+    window.BHM.projects.subscribe(projects => {
+      state.projectList = createProjectList(
+        projects.filter(project => String(project.year) === window.BHM.projects.currentYear)
+      );
+      publish();
+    });
+  }
+
+  /**
+   * Inject the graph of what is available so far
+   */
+  function publish() {
+    const graph = [state.event, state.projectList].filter(Boolean);
+    if (graph.length === 0) return;
+
+    injectGraph(graph);
+    console.log(`✅ Structured data: ${graph.map(item => item['@type']).join(', ')}`);
+  }
+
+  /**
+   * UTC offset of a timezone on a given day, as "+01:00"
+   */
+  function getZoneOffset(date, timezone) {
+    const noon = Date.parse(`${date}T12:00:00Z`);
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(noon));
+    const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+    const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+    const minutes = Math.round((local - noon) / 60000);
+    const sign = minutes < 0 ? '-' : '+';
+    const pad = value => String(Math.floor(Math.abs(value))).padStart(2, '0');
+
+    return `${sign}${pad(minutes / 60)}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * ISO datetime with zone of a "HH:MM" time on a program day
+   */
+  function toDateTime(date, time, timezone) {
+    return `${date}T${time}:00${getZoneOffset(date, timezone)}`;
+  }
+
+  /**
+   * First start and last end of the program, as zoned ISO datetimes
+   */
+  function getEventDates(program) {
+    const timezone = program.timezone || DEFAULT_TIMEZONE;
+    const days = program.days.filter(day => day.date).slice().sort((a, b) => a.date.localeCompare(b.date));
+    if (days.length === 0) return null;
+
+    const times = day => (day.slots || [])
+      .reduce((list, slot) => list.concat(slot.start || [], slot.end || []), [])
+      .filter(time => /^\d{2}:\d{2}$/.test(time))
+      .sort();
+
+    const first = days[0];
+    const last = days[days.length - 1];
+    const firstTimes = times(first);
+    const lastTimes = times(last);
+
+    return {
+      start: firstTimes.length ? toDateTime(first.date, firstTimes[0], timezone) : first.date,
+      end: lastTimes.length ? toDateTime(last.date, lastTimes[lastTimes.length - 1], timezone) : last.date
+    };
+  }
+
+  /**
+   * Registration deadline shown by the countdown, if any
+   */
+  function getRegistrationDeadline() {
+    const template = document.querySelector('[data-countdown] template[data-phase="registration"]');
+    return template ? template.getAttribute('data-until') : null;
+  }
+
+  /**
+   * schema.org Event of this edition
+   */
+  function createEvent(program) {
+    const dates = getEventDates(program);
+    if (!dates) return null;
+
+    const year = program.year || parseInt(dates.start, 10);
+    const deadline = getRegistrationDeadline();
+
+    return {
+      '@type': 'Event',
+      '@id': `${SITE_URL}#event`,
+      name: `${SERIES_NAME} ${year}`,
+      description: DESCRIPTION,
+      url: SITE_URL,
+      image: `${SITE_URL}images/main_banner.png`,
+      startDate: dates.start,
+      endDate: dates.end,
+      eventStatus: `${SCHEMA}EventScheduled`,
+      eventAttendanceMode: `${SCHEMA}OfflineEventAttendanceMode`,
+      location: {
+        '@type': 'Place',
+        name: program.venue ? `${program.venue}, Timone campus` : 'Timone campus',
+        address: ADDRESS,
+        geo: GEO
+      },
+      organizer: ORGANIZER,
+      offers: {
+        '@type': 'Offer',
+        url: `${SITE_URL}#register`,
+        validThrough: deadline || dates.start
+      },
+      superEvent: createSeries()
+    };
+  }
+
+  /**
+   * The series of editions, with the past ones as its sub-events
+   */
+  function createSeries() {
+    return {
+      '@type': 'EventSeries',
+      '@id': `${SITE_URL}#series`,
+      name: SERIES_NAME,
+      url: SITE_URL,
+      organizer: ORGANIZER,
+      subEvent: PAST_EDITIONS.map(edition => ({
+        '@type': 'Event',
+        name: `${SERIES_NAME} ${edition.year}`,
+        url: `${SITE_URL}${edition.url}`,
+        startDate: edition.startDate,
+        endDate: edition.endDate,
+        eventStatus: `${SCHEMA}EventScheduled`,
+        location: {
+          '@type': 'Place',
+          name: 'Marseille',
+          address: { '@type': 'PostalAddress', addressLocality: 'Marseille', addressCountry: 'FR' }
+        }
+      }))
+    };
+  }
+
+  /**
+   * schema.org ItemList of the projects, in JSON order
+   */
+  function createProjectList(projects) {
+    const exporter = window.BHM && window.BHM.export;
+
+    return {
+      '@type': 'ItemList',
+      '@id': `${SITE_URL}#projects`,
+      name: `${SERIES_NAME} projects`,
+      url: `${SITE_URL}#projects`,
+      about: { '@id': `${SITE_URL}#event` },
+      numberOfItems: projects.length,
+      itemListElement: projects.map((project, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        item: exporter
+          ? exporter.toSchemaOrg(project)
+          : { '@type': 'CreativeWork', name: project.title, url: project.issue_url || undefined }
+      }))
+    };
+  }
+
+  /**
+   * Add (or replace) the JSON-LD script in the document head
+   */
+  function injectGraph(graph) {
+    let script = document.getElementById(SCRIPT_ID);
+
+    if (!script) {
+      script = document.createElement('script');
+      script.id = SCRIPT_ID;
+      script.type = 'application/ld+json';
+      document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -49,8 +49,9 @@
   });
 
   // Activate smooth scroll on page load with hash links
+  // (deep links such as #projects/100 are handled by projects.js)
   $(document).ready(function() {
-    if (window.location.hash) {
+    if (window.location.hash && window.location.hash.indexOf('/') === -1) {
       var initial_nav = window.location.hash;
       if ($(initial_nav).length) {
         var scrollto = $(initial_nav).offset().top - scrolltoOffset;
@@ -0,0 +1,556 @@
+/**
+ * BrainHack Marseille 2026 - Markdown Renderer
+ * Self-contained GitHub-flavoured markdown subset used for issue bodies,
+ * followed by an allow-list HTML sanitizer.
+ *
+ * Supported: headings, paragraphs, hard/soft line breaks, bullet/numbered/task
+ * lists (nested), fenced code, inline code, blockquotes, tables, horizontal
+ * rules, emphasis, strikethrough, links, autolinks, images and a safe subset
+ * of inline HTML (GitHub attachments are pasted as <img> tags).
+ */
+
+(function() {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Sanitizer configuration
+  // ---------------------------------------------------------------------------
+
+  // Allowed elements and their allowed attributes
+  const ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    b: [], strong: [], i: [], em: [], del: [], s: [], u: [], mark: [],
+    sub: [], sup: [], kbd: [], small: [],
+    p: [], br: [], hr: [], div: [], span: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    blockquote: [],
+    pre: [], code: ['class'],
+    ul: [], ol: ['start'], li: ['class'],
+    table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    details: ['open'], summary: []
+  };
+
+  // Elements removed together with everything inside them
+  const DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'template', 'noscript', 'textarea', 'select', 'option', 'button', 'form',
+    'link', 'meta', 'base', 'svg', 'math', 'audio', 'video', 'source', 'title', 'head'
+  ]);
+
+  // URL schemes accepted per attribute (relative URLs are always accepted)
+  const SAFE_SCHEMES = {
+    href: ['http', 'https', 'mailto'],
+    src: ['http', 'https']
+  };
+
+  // ---------------------------------------------------------------------------
+  // Block patterns
+  // ---------------------------------------------------------------------------
+
+  const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)[^`]*$/;
+  const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+  const HR = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const BLOCKQUOTE = /^ {0,3}>\s?/;
+  const LIST_ITEM = /^(\s*)([-*+•]|\d{1,9}[.)])(\s+|$)(.*)$/;
+  const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+  const TASK = /^\[([ xX])\]\s+/;
+  const BARE_URL = /\bhttps?:\/\/[^\s<>\u0000]+/g;
+
+  /**
+   * Render markdown to sanitized HTML
+   *
+   * @param {string} text - Markdown source
+   * @param {Object} [options]
+   * @param {number} [options.headingOffset=0] - Added to heading levels (max h6)
+   * @returns {string} Safe HTML
+   */
+  function render(text, options) {
+    const settings = Object.assign({ headingOffset: 0 }, options);
+    const source = String(text || '')
+      .replace(/\u0000/g, '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\t/g, '    ');
+
+    return sanitize(renderBlocks(source.split('\n'), settings, false));
+  }
+
+  /**
+   * Render a list of lines as block elements
+   * In tight list items paragraphs are emitted without <p> wrappers.
+   */
+  function renderBlocks(lines, settings, tight) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Blank lines only separate blocks
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code
+      const fence = FENCE.exec(line);
+      if (fence) {
+        const marker = fence[1];
+        const code = [];
+        i++;
+        while (i < lines.length && !isClosingFence(lines[i], marker)) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // skip the closing fence (or run past the end)
+
+        const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+        html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // ATX heading
+      const heading = HEADING.exec(line);
+      if (heading) {
+        const level = Math.min(6, heading[1].length + settings.headingOffset);
+        html.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Horizontal rule (checked before lists: "- - -" is a rule)
+      if (HR.test(line)) {
+        html.push('<hr>');
+        i++;
+        continue;
+      }
+
+      // Blockquote (consecutive ">" lines, rendered recursively)
+      if (BLOCKQUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+          quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+          i++;
+        }
+        html.push(`<blockquote>${renderBlocks(quoted, settings, false)}</blockquote>`);
+        continue;
+      }
+
+      // Table (header row followed by a delimiter row)
+      if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1])) {
+        const table = renderTable(lines, i);
+        html.push(table.html);
+        i = table.next;
+        continue;
+      }
+
+      // List
+      if (LIST_ITEM.test(line)) {
+        const list = renderList(lines, i, settings);
+        html.push(list.html);
+        i = list.next;
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraph = [line];
+      i++;
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+
+      const content = renderInline(paragraph.join('\n').trim());
+      html.push(tight ? content : `<p>${content}</p>`);
+    }
+
+    return html.join('\n');
+  }
+
+  /**
+   * Check whether a line may interrupt a paragraph
+   */
+  function startsBlock(lines, i) {
+    const line = lines[i];
+    const item = LIST_ITEM.exec(line);
+
+    // Numbered lists only interrupt a paragraph when they start at 1
+    if (item && item[4].trim() && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1)) {
+      return true;
+    }
+
+    return FENCE.test(line) ||
+           HEADING.test(line) ||
+           HR.test(line) ||
+           BLOCKQUOTE.test(line) ||
+           (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]));
+  }
+
+  /**
+   * Check whether a line closes a fence opened with `marker`
+   */
+  function isClosingFence(line, marker) {
+    const trimmed = line.trim();
+    return trimmed.length >= marker.length &&
+           trimmed[0] === marker[0] &&
+           new RegExp(`^\\${marker[0]}+$`).test(trimmed);
+  }
+
+  /**
+   * Render a pipe table starting at line `start`
+   */
+  function renderTable(lines, start) {
+    const header = splitTableRow(lines[start]);
+    const aligns = splitTableRow(lines[start + 1]).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      if (left) return 'left';
+      return '';
+    });
+
+    const cell = (tag, content, index) => {
+      const align = aligns[index] ? ` align="${aligns[index]}"` : '';
+      return `<${tag}${align}>${renderInline(content)}</${tag}>`;
+    };
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+      const cells = splitTableRow(lines[i]);
+      rows.push(`<tr>${header.map((_, index) => cell('td', cells[index] || '', index)).join('')}</tr>`);
+      i++;
+    }
+
+    return {
+      html: `<table><thead><tr>${header.map((content, index) => cell('th', content, index)).join('')}</tr></thead>` +
+            `<tbody>${rows.join('')}</tbody></table>`,
+      next: i
+    };
+  }
+
+  /**
+   * Split a table row on unescaped pipes, ignoring the outer ones
+   */
+  function splitTableRow(line) {
+    const cells = [];
+    let current = '';
+    const row = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') {
+        current += '|';
+        i++;
+      } else if (row[i] === '|') {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += row[i];
+      }
+    }
+    cells.push(current.trim());
+
+    return cells;
+  }
+
+  /**
+   * Render a (possibly nested) list starting at line `start`
+   * Lines indented deeper than the item marker belong to that item and are
+   * rendered recursively, which gives nested lists and multi-paragraph items.
+   */
+  function renderList(lines, start, settings) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const item = LIST_ITEM.exec(line);
+      const indent = line.length - line.trimStart().length;
+
+      // Sibling item at (roughly) the same indentation
+      if (item && indent <= baseIndent + 1 && !HR.test(line)) {
+        if (/\d/.test(item[2]) !== ordered) break;
+
+        items.push({
+          lines: [item[4]],
+          contentIndent: item[1].length + item[2].length + Math.max(1, item[3].length)
+        });
+        i++;
+        continue;
+      }
+
+      const current = items[items.length - 1];
+
+      if (!line.trim()) {
+        // A blank line continues the list only if more indented content or
+        // another sibling follows
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next >= lines.length) break;
+
+        const nextLine = lines[next];
+        const nextIndent = nextLine.length - nextLine.trimStart().length;
+        const nextItem = LIST_ITEM.exec(nextLine);
+        if (nextIndent <= baseIndent + 1 && !(nextItem && /\d/.test(nextItem[2]) === ordered)) break;
+
+        loose = true;
+        current.lines.push('');
+        i++;
+        continue;
+      }
+
+      // Indented content belongs to the current item
+      if (indent > baseIndent + 1) {
+        current.lines.push(line.slice(Math.min(indent, current.contentIndent)));
+        i++;
+        continue;
+      }
+
+      // Lazy continuation of the item's paragraph
+      if (current.lines[current.lines.length - 1].trim() && !startsBlock(lines, i)) {
+        current.lines.push(line.trim());
+        i++;
+        continue;
+      }
+
+      break;
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+    const html = items.map(item => {
+      const task = TASK.exec(item.lines[0]);
+      if (task) {
+        item.lines[0] = item.lines[0].replace(TASK, '');
+        const checked = task[1] !== ' ' ? ' checked' : '';
+        return `<li class="task-list-item"><input type="checkbox" disabled${checked}> ` +
+               `${renderBlocks(item.lines, settings, !loose)}</li>`;
+      }
+      return `<li>${renderBlocks(item.lines, settings, !loose)}</li>`;
+    }).join('\n');
+
+    return {
+      html: `<${tag}${startAttr}>\n${html}\n</${tag}>`,
+      next: i
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inline rendering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Render inline markdown (code, links, images, emphasis, line breaks)
+   * Pieces that are already HTML are stashed behind placeholders so that the
+   * escaping and emphasis passes cannot touch them.
+   */
+  function renderInline(text) {
+    const stash = [];
+    const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+    let out = text;
+
+    // Code spans
+    out = out.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      keep(`<code>${escapeHtml(code.replace(/\n/g, ' ').replace(/^ (.+) $/, '$1'))}</code>`));
+
+    // Autolinks in angle brackets: <https://...>, <mailto:...>
+    out = out.replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) =>
+      keep(`<a href="${escapeHtml(url)}">${escapeHtml(url.replace(/^mailto:/i, ''))}</a>`));
+
+    // Inline HTML is kept as-is (the sanitizer filters it), comments are dropped
+    out = out.replace(/<!--[\s\S]*?-->/g, '');
+    out = out.replace(/<\/?[A-Za-z][A-Za-z0-9-]*(?:\s+[^<>]*)?\/?>/g, tag => keep(tag));
+
+    // Backslash escapes
+    out = out.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (match, char) => keep(escapeHtml(char)));
+
+    // Images, then links (destinations may hold one level of balanced parentheses)
+    out = out.replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) =>
+      keep(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`));
+
+    // The label stays in the text so the emphasis pass below still applies to
+    // it; URLs used as labels are stashed so they are not autolinked again
+    out = out.replace(/\[((?:[^[\]]|\[[^\]]*\])+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) =>
+      keep(`<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`) +
+      label.replace(BARE_URL, url => keep(escapeHtml(url))) +
+      keep('</a>'));
+
+    // Bare URLs (GFM extended autolinks), without trailing punctuation
+    out = out.replace(BARE_URL, url => {
+      let trailing = '';
+      while (/[.,:;!?'"*_~]$/.test(url) || (url.endsWith(')') && count(url, '(') < count(url, ')'))) {
+        trailing = url.slice(-1) + trailing;
+        url = url.slice(0, -1);
+      }
+      return keep(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`) + trailing;
+    });
+
+    out = escapeHtml(out);
+
+    // Emphasis: underscores only count at word boundaries, so snake_case
+    // identifiers such as pipeline_development stay intact
+    out = out.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>');
+    out = out.replace(/(^|[^\w\u0000])__(?=\S)([\s\S]*?\S)__(?![\w])/g, '$1<strong>$2</strong>');
+    out = out.replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>');
+    out = out.replace(/(^|[^\w\u0000])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w])/g, '$1<em>$2</em>');
+    out = out.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    // Line breaks: GitHub issue bodies keep single newlines
+    out = out.replace(/ *\n/g, '<br>\n');
+
+    return restore(out, stash);
+  }
+
+  /**
+   * Put stashed HTML back in place of its placeholders (stashed pieces may
+   * contain placeholders themselves, e.g. code inside a link label)
+   */
+  function restore(text, stash) {
+    let out = text;
+    while (/\u0000\d+\u0000/.test(out)) {
+      out = out.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+    }
+    return out;
+  }
+
+  /**
+   * Count occurrences of a character
+   */
+  function count(text, char) {
+    return text.split(char).length - 1;
+  }
+
+  /**
+   * Escape text for use in HTML content and attribute values
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sanitizer
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Keep only allow-listed elements, attributes and URL schemes
+   * The markup is parsed into an inert <template>, so nothing loads or runs
+   * while it is being cleaned.
+   */
+  function sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    cleanChildren(template.content);
+    return template.innerHTML;
+  }
+
+  /**
+   * Recursively clean the children of a node
+   */
+  function cleanChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.tagName.toLowerCase();
+
+      if (DROPPED_TAGS.has(tag)) {
+        node.remove();
+        return;
+      }
+
+      cleanChildren(node);
+
+      // Unknown elements are unwrapped: their (clean) content is kept
+      if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)) {
+        while (node.firstChild) parent.insertBefore(node.firstChild, node);
+        node.remove();
+        return;
+      }
+
+      cleanAttributes(node, tag);
+    });
+  }
+
+  /**
+   * Remove attributes that are not allowed (event handlers, styles, unsafe URLs)
+   */
+  function cleanAttributes(node, tag) {
+    const allowed = ALLOWED_TAGS[tag];
+
+    Array.from(node.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      const keepAttribute = allowed.includes(name) &&
+        (!SAFE_SCHEMES[name] || isSafeUrl(attribute.value, SAFE_SCHEMES[name]));
+
+      if (!keepAttribute) node.removeAttribute(attribute.name);
+    });
+
+    if (tag === 'a' && node.hasAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    if (tag === 'img') {
+      if (!node.hasAttribute('src')) {
+        node.remove();
+        return;
+      }
+      node.setAttribute('class', 'img-fluid project-content-image');
+      node.setAttribute('loading', 'lazy');
+    }
+
+    // Only read-only checkboxes (task lists) survive
+    if (tag === 'input') {
+      if ((node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+        node.remove();
+        return;
+      }
+      node.setAttribute('disabled', '');
+    }
+
+    if (tag === 'code' && !/^language-[\w+#.-]+$/.test(node.getAttribute('class') || '')) {
+      node.removeAttribute('class');
+    }
+
+    if (tag === 'li' && node.getAttribute('class') !== 'task-list-item') {
+      node.removeAttribute('class');
+    }
+  }
+
+  /**
+   * Accept relative URLs and absolute URLs with an allowed scheme
+   * Control characters and whitespace are ignored by browsers inside a
+   * scheme ("java\tscript:"), so they are removed before checking.
+   */
+  function isSafeUrl(value, schemes) {
+    const url = value.replace(/[\u0000- \u007f]+/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+
+    if (!scheme) return true;
+    return schemes.includes(scheme[1].toLowerCase());
+  }
+
+  window.BHM = window.BHM || {};
+  window.BHM.markdown = {
+    render: render,
+    sanitize: sanitize
+  };
+
+})();
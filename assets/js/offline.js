@@ -0,0 +1,157 @@
+/**
+ * BrainHack Marseille 2026 - Offline Support
+ * Registers the service worker (sw.js) and shows a banner when the page
+ * falls back to data saved during a previous visit
+ * Banner texts come from the i18n.js catalogs (loaded before this file).
+ */
+
+(function() {
+  'use strict';
+
+  const SERVICE_WORKER_URL = 'sw.js';
+  const BANNER_ID = 'offline-banner';
+  const CACHED_AT_HEADER = 'X-BHM-Cached-At';
+
+  // Time the displayed data was saved (from the service worker's stamp)
+  let dataCachedAt = null;
+
+  // Time shown by the banner, to show it again in another language
+  let shownCachedAt = null;
+
+  /**
+   * Register the service worker (needs http(s) and a supporting browser)
+   */
+  function register() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.warn('⚠️ Service worker registration failed:', error);
+      });
+    });
+
+    // Sent when a background refresh of cached data failed
+    navigator.serviceWorker.addEventListener('message', event => {
+      if (event.data && event.data.type === 'bhm-offline') {
+        showBanner(event.data.cachedAt || dataCachedAt);
+      }
+    });
+  }
+
+  /**
+   * Remember how old the displayed data is (no stamp: fetched just now)
+   */
+  function noteResponse(response) {
+    const cachedAt = response.headers.get(CACHED_AT_HEADER) || new Date().toISOString();
+    if (!dataCachedAt || cachedAt < dataCachedAt) dataCachedAt = cachedAt;
+  }
+
+  /**
+   * Saved copy of a file when the network request failed, or null
+   * Works even before the service worker controls the page.
+   */
+  async function match(url) {
+    if (!window.caches) return null;
+
+    try {
+      const cached = await window.caches.match(url, { ignoreSearch: true });
+      if (!cached) return null;
+
+      noteResponse(cached);
+      showBanner(dataCachedAt);
+      return cached;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a file, falling back to the saved copy when the network is down
+   */
+  async function fetchWithFallback(url) {
+    let response = null;
+
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      // Handled below with the cache
+    }
+
+    if (!response || !response.ok) {
+      const cached = await match(url);
+      if (cached) return cached;
+    }
+
+    if (!response) {
+      throw new Error(`Network error while loading ${url}`);
+    }
+
+    noteResponse(response);
+    return response;
+  }
+
+  /**
+   * Format the cache time as HH:MM (with the date when not from today)
+   */
+  function formatTime(iso) {
+    const date = new Date(iso);
+    if (!iso || isNaN(date.getTime())) return '';
+
+    const language = window.BHM.i18n.getLanguage();
+    const time = date.toLocaleTimeString(language, { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+
+    return `${date.toLocaleDateString(language, { day: 'numeric', month: 'short' })} ${time}`;
+  }
+
+  /**
+   * Show (or update) the offline banner
+   */
+  function showBanner(cachedAt) {
+    let banner = document.getElementById(BANNER_ID);
+
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = BANNER_ID;
+      banner.className = 'offline-banner';
+      banner.setAttribute('role', 'status');
+      document.body.appendChild(banner);
+    }
+
+    const time = formatTime(cachedAt);
+    banner.innerHTML = `
+      <i class="icofont-wifi"></i>
+      ${time ? window.BHM.i18n.t('offline.savedAt', { time: time }) : window.BHM.i18n.t('offline.saved')}
+    `;
+    banner.hidden = false;
+    shownCachedAt = cachedAt;
+  }
+
+  /**
+   * Hide the banner once the connection is back
+   */
+  function hideBanner() {
+    const banner = document.getElementById(BANNER_ID);
+    if (banner) banner.hidden = true;
+  }
+
+  window.addEventListener('offline', () => showBanner(dataCachedAt));
+  window.addEventListener('online', hideBanner);
+
+  window.BHM.i18n.onChange(() => {
+    const banner = document.getElementById(BANNER_ID);
+    if (banner && !banner.hidden) showBanner(shownCachedAt);
+  });
+
+  register();
+
+  window.BHM = window.BHM || {};
+  window.BHM.offline = {
+    fetch: fetchWithFallback,
+    match: match,
+    noteResponse: noteResponse,
+    showBanner: showBanner,
+    hideBanner: hideBanner
+  };
+
+})();
@@ -0,0 +1,615 @@
+/**
+ * BrainHack Marseille 2026 - Program Renderer
+ * Builds the day-by-day schedule (general slots and parallel tracks) from JSON
+ * Labels come from the i18n.js catalogs (loaded before this file).
+ */
+
+(function() {
+  'use strict';
+
+  const { escapeHtml, loadJson } = window.BHM.utils;
+  const { t } = window.BHM.i18n;
+
+  // Configuration
+  const PROGRAM_JSON_URL = 'assets/data/program_2026.json';
+  const CONTAINER_ID = 'program-container';
+  const LOADING_ID = 'program-loading';
+  const NOW_NEXT_ID = 'program-now-next';
+  const DEFAULT_TIMEZONE = 'Europe/Paris';
+  const LIVE_REFRESH_MS = 30 * 1000;
+  const CALENDAR_ID = 'program-calendar';
+  const UID_DOMAIN = 'brainhack-marseille.github.io';
+
+  /**
+   * Main initialization function
+   */
+  async function init() {
+    try {
+      console.log('🚀 Loading BrainHack program...');
+
+      const program = await loadProgram();
+      console.log(`✅ Loaded ${program.days.length} program day(s)`);
+
+      checkProgram(program);
+      renderProgram(program);
+      startLiveIndicator(program);
+
+      window.BHM.i18n.onChange(() => {
+        renderProgram(program);
+        updateLiveIndicator(program);
+      });
+
+    } catch (error) {
+      console.error('❌ Error loading program:', error);
+      showError();
+    }
+  }
+
+  /**
+   * Fetch program JSON from server (through the offline cache when available)
+   */
+  async function loadProgram() {
+    const program = await loadJson(PROGRAM_JSON_URL);
+
+    if (!program || !Array.isArray(program.days)) {
+      throw new Error(`${PROGRAM_JSON_URL} has no list of days`);
+    }
+
+    program.tracks = program.tracks || {};
+    program.timezone = program.timezone || DEFAULT_TIMEZONE;
+
+    // Stable reference from the rendered slot back to its data; the JSON ids
+    // also make the calendar UIDs, so a slot without one gets a warning
+    const ids = new Set();
+    program.days.forEach(day => {
+      (day.slots || []).forEach((slot, index) => {
+        if (!slot.id) {
+          console.warn(`⚠️ Program: ${day.date} ${slot.start} "${slot.title}" has no id`);
+        } else if (ids.has(slot.id)) {
+          console.warn(`⚠️ Program: duplicate slot id "${slot.id}"`);
+        }
+        slot.id = slot.id || `${day.date}-${index + 1}`;
+        slot.date = day.date;
+        ids.add(slot.id);
+      });
+    });
+
+    return program;
+  }
+
+  /**
+   * Minutes since midnight for a "HH:MM" time, or null
+   */
+  function toMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  }
+
+  /**
+   * Display a "HH:MM" time without the leading zero ("09:00" -> "9:00")
+   */
+  function formatTime(time) {
+    return String(time).replace(/^0(\d)/, '$1');
+  }
+
+  /**
+   * Whether a slot runs in a parallel track (side-by-side columns)
+   */
+  function isParallel(program, slot) {
+    const track = program.tracks[slot.track];
+    return Boolean(track && track.parallel);
+  }
+
+  /**
+   * Split a day into blocks: single full-width slots, and runs of
+   * consecutive parallel-track slots shown side by side
+   */
+  function groupSlots(program, day) {
+    const blocks = [];
+
+    (day.slots || []).forEach(slot => {
+      const previous = blocks[blocks.length - 1];
+
+      if (isParallel(program, slot)) {
+        if (previous && previous.parallel) {
+          previous.slots.push(slot);
+        } else {
+          blocks.push({ parallel: true, slots: [slot] });
+        }
+      } else {
+        blocks.push({ parallel: false, slots: [slot] });
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Flag overlapping or mis-ordered slots in the console
+   * Slots of one track must follow each other; full-width slots concern
+   * everyone, so they must not overlap anything.
+   */
+  function checkProgram(program) {
+    program.days.forEach(day => {
+      const where = slot => `${day.date} ${slot.start} "${slot.title}"`;
+      const slots = (day.slots || []).map(slot => ({
+        slot: slot,
+        start: toMinutes(slot.start),
+        end: slot.end ? toMinutes(slot.end) : Infinity
+      }));
+
+      slots.forEach(item => {
+        if (item.start === null || item.end === null) {
+          console.warn(`⚠️ Program: invalid time in ${where(item.slot)}`);
+        } else if (item.end <= item.start) {
+          console.warn(`⚠️ Program: ${where(item.slot)} ends before it starts`);
+        }
+        if (!program.tracks[item.slot.track]) {
+          console.warn(`⚠️ Program: unknown track "${item.slot.track}" in ${where(item.slot)}`);
+        }
+      });
+
+      const valid = slots.filter(item => item.start !== null && item.end !== null);
+
+      // Per track, in listed order
+      const lastByTrack = {};
+      valid.forEach(item => {
+        const previous = lastByTrack[item.slot.track];
+
+        if (previous && item.start < previous.start) {
+          console.warn(`⚠️ Program: ${where(item.slot)} is listed after ${where(previous.slot)}`);
+        } else if (previous && item.start < previous.end) {
+          console.warn(`⚠️ Program: ${where(item.slot)} overlaps ${where(previous.slot)}`);
+        }
+        lastByTrack[item.slot.track] = item;
+      });
+
+      // Full-width slots against every other slot
+      valid.forEach((item, index) => {
+        if (isParallel(program, item.slot)) return;
+
+        valid.forEach((other, otherIndex) => {
+          if (otherIndex === index || (!isParallel(program, other.slot) && otherIndex < index)) return;
+          if (other.slot.track === item.slot.track) return;
+
+          if (item.start < other.end && other.start < item.end) {
+            console.warn(`⚠️ Program: ${where(item.slot)} overlaps ${where(other.slot)}`);
+          }
+        });
+      });
+
+      // Blocks must be listed chronologically
+      let previousStart = -Infinity;
+      groupSlots(program, day).forEach(block => {
+        const starts = block.slots.map(slot => toMinutes(slot.start)).filter(start => start !== null);
+        if (starts.length === 0) return;
+
+        const start = Math.min(...starts);
+        if (start < previousStart) {
+          console.warn(`⚠️ Program: ${where(block.slots[0])} is listed after a later slot`);
+        }
+        previousStart = Math.max(previousStart, start);
+      });
+    });
+  }
+
+  /**
+   * Render all days to the DOM
+   */
+  function renderProgram(program) {
+    const container = document.getElementById(CONTAINER_ID);
+    const loading = document.getElementById(LOADING_ID);
+
+    if (!container) {
+      console.error('Program container not found');
+      return;
+    }
+
+    // Remove loading indicator
+    if (loading) {
+      loading.remove();
+    }
+
+    container.innerHTML = program.days.map(day => createDay(program, day)).join('');
+
+    renderCalendarBar(program, container);
+
+    console.log(`✅ Rendered ${program.days.length} program day(s)`);
+  }
+
+  /**
+   * Create the HTML for one day
+   */
+  function createDay(program, day) {
+    // Track headers are only shown above a track's first block of the day
+    const shownTracks = new Set();
+
+    const blocks = groupSlots(program, day).map(block => {
+      if (!block.parallel) return createSlot(program, block.slots[0]);
+
+      const tracks = [];
+      block.slots.forEach(slot => {
+        if (!tracks.includes(slot.track)) tracks.push(slot.track);
+      });
+
+      const columnClass = `col-lg-${Math.max(3, Math.floor(12 / tracks.length))}`;
+
+      const columns = tracks.map(trackId => {
+        const header = shownTracks.has(trackId) ? '' : createTrackHeader(program.tracks[trackId]);
+        shownTracks.add(trackId);
+
+        return `
+          <div class="${columnClass}">
+            ${header}
+            ${block.slots.filter(slot => slot.track === trackId).map(slot => createSlot(program, slot)).join('')}
+          </div>
+        `;
+      }).join('');
+
+      return `<div class="row mt-4">${columns}</div>`;
+    }).join('');
+
+    return `
+      <div class="row mt-5" data-date="${escapeHtml(day.date)}">
+        <div class="col-lg-12">
+          <h3 class="program-day-title" style="color: #e76f51; margin-bottom: 25px;">
+            <i class="icofont-calendar"></i> ${escapeHtml(day.title)}
+          </h3>
+
+          <div class="program-schedule">
+            ${blocks}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the coloured header of a parallel track
+   */
+  function createTrackHeader(track) {
+    return `
+      <div class="track-header"
+           style="background-color: ${escapeHtml(track.color || '#e9c46a')}; padding: 10px; border-radius: 5px; margin-bottom: 15px;">
+        <h5 style="margin: 0; color: ${escapeHtml(track.text_color || '#264653')};">
+          ${escapeHtml(track.label || '')}${track.room ? ` - ${escapeHtml(track.room)}` : ''}
+        </h5>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the HTML for one time slot
+   */
+  function createSlot(program, slot) {
+    const track = program.tracks[slot.track] || {};
+    const time = slot.end
+      ? `${formatTime(slot.start)} - ${formatTime(slot.end)}`
+      : t('program.onwards', { start: formatTime(slot.start) });
+    const title = slot.url
+      ? `<a href="${escapeHtml(slot.url)}" target="_blank" rel="noopener">${escapeHtml(slot.title)}</a>`
+      : escapeHtml(slot.title);
+
+    return `
+      <div class="time-slot ${escapeHtml(track.class || 'general-path')}" data-aos="fade-up"
+           data-slot-id="${escapeHtml(slot.id)}">
+        <div class="time-badge">${escapeHtml(time)}</div>
+        <div class="event-content">
+          <h4>${slot.icon ? `<i class="${escapeHtml(slot.icon)}"></i> ` : ''}${title}${slot.room ? ` - ${escapeHtml(slot.room)}` : ''}</h4>
+
+          ${slot.location ? `
+            <p class="location"><i class="icofont-location-pin"></i> ${t('program.location')} ${escapeHtml(slot.location)}</p>
+          ` : ''}
+
+          ${slot.speakers && slot.speakers.length > 0 ? `
+            <p class="speaker"><i class="icofont-user-alt-3"></i> ${escapeHtml(joinNames(slot.speakers))}</p>
+          ` : ''}
+        </div>
+
+        ${window.BHM && window.BHM.ics ? `
+          <button type="button"
+                  class="btn-add-calendar"
+                  data-slot-id="${escapeHtml(slot.id)}"
+                  title="${t('program.addToCalendar')}"
+                  aria-label="${escapeHtml(t('program.addSlotToCalendar', { title: slot.title }))}">
+            <i class="icofont-ui-calendar"></i>
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Build the "Add to calendar" bar (whole program or one track) and handle
+   * all calendar buttons (ics.js is optional: without it nothing is shown)
+   * Called again after a language switch: only the bar's labels change then.
+   */
+  function renderCalendarBar(program, container) {
+    if (!window.BHM || !window.BHM.ics) return;
+
+    const trackIds = Object.keys(program.tracks).filter(trackId =>
+      program.tracks[trackId].parallel &&
+      program.days.some(day => (day.slots || []).some(slot => slot.track === trackId))
+    );
+
+    let bar = document.getElementById(CALENDAR_ID);
+    const created = !bar;
+
+    if (created) {
+      bar = document.createElement('div');
+      bar.id = CALENDAR_ID;
+      bar.className = 'program-calendar';
+      container.parentNode.insertBefore(bar, container);
+    }
+
+    bar.innerHTML = `
+      <span class="program-calendar-label"><i class="icofont-ui-calendar"></i> ${t('program.calendarLabel')}</span>
+      <button type="button" class="program-calendar-button" data-calendar="all">${t('program.wholeProgram')}</button>
+      ${trackIds.map(trackId => `
+        <button type="button" class="program-calendar-button" data-calendar="${escapeHtml(trackId)}">
+          ${escapeHtml(program.tracks[trackId].label || trackId)}
+        </button>
+      `).join('')}
+    `;
+
+    if (!created) return;
+
+    container.parentNode.addEventListener('click', event => {
+      const slotButton = event.target.closest('.btn-add-calendar');
+      const calendarButton = event.target.closest('.program-calendar-button');
+
+      if (slotButton) {
+        const slot = getSlots(program).find(item => item.id === slotButton.getAttribute('data-slot-id'));
+        if (slot) exportCalendar(program, [slot], slugify(slot.title));
+      } else if (calendarButton) {
+        const trackId = calendarButton.getAttribute('data-calendar');
+
+        // A track's calendar also holds the sessions everyone attends
+        const slots = getSlots(program).filter(slot =>
+          trackId === 'all' || slot.track === trackId || !isParallel(program, slot)
+        );
+        exportCalendar(program, slots, trackId === 'all' ? '' : slugify(trackId));
+      }
+    });
+  }
+
+  /**
+   * Every slot of the program, in day order
+   */
+  function getSlots(program) {
+    return program.days.reduce((slots, day) => slots.concat(day.slots || []), []);
+  }
+
+  /**
+   * Download an .ics file with the given slots
+   * UIDs only depend on the slot's `id` in the program JSON and the stamp on
+   * the program's `updated` time, so importing an updated file replaces the
+   * events (even moved ones) instead of duplicating them.
+   */
+  function exportCalendar(program, slots, suffix) {
+    const name = `BrainHack Marseille ${program.year || ''}`.trim();
+    const venue = program.venue || '';
+
+    const events = slots.filter(slot => toMinutes(slot.start) !== null).map(slot => {
+      const track = program.tracks[slot.track] || {};
+      const room = getRoom(program, slot);
+      const description = [
+        track.label,
+        slot.speakers && slot.speakers.length > 0 ? `Speakers: ${joinNames(slot.speakers)}` : '',
+        slot.url || ''
+      ].filter(Boolean).join('\n');
+
+      return {
+        uid: `bhm-${program.year || ''}-${slugify(slot.id)}@${UID_DOMAIN}`,
+        date: slot.date,
+        start: slot.start,
+        end: slot.end,
+        summary: slot.title,
+        location: venue && !room.includes(venue) ? [room, venue].filter(Boolean).join(', ') : room,
+        description: description,
+        url: slot.url
+      };
+    });
+
+    const calendar = window.BHM.ics.createCalendar({
+      name: name,
+      timezone: program.timezone,
+      modified: program.updated,
+      events: events
+    });
+    window.BHM.utils.download(`${slugify(name)}${suffix ? `-${suffix}` : ''}.ics`, 'text/calendar;charset=utf-8', calendar);
+  }
+
+  /**
+   * Lowercase ASCII identifier for file names and UIDs
+   */
+  function slugify(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Current date ("YYYY-MM-DD") and minutes since midnight in the event's
+   * timezone, whatever the visitor's device timezone
+   */
+  function getEventNow(timezone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date());
+    const get = type => parts.find(part => part.type === type).value;
+
+    return {
+      date: `${get('year')}-${get('month')}-${get('day')}`,
+      minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+    };
+  }
+
+  /**
+   * Slots running now and the next ones to start today
+   */
+  function findNowNext(program, now) {
+    const day = program.days.find(item => item.date === now.date);
+    if (!day) return { current: [], next: [] };
+
+    const slots = (day.slots || []).filter(slot => toMinutes(slot.start) !== null);
+
+    const current = slots.filter(slot => {
+      const start = toMinutes(slot.start);
+      const end = slot.end ? toMinutes(slot.end) : Infinity;
+      return start <= now.minutes && now.minutes < end;
+    });
+
+    const upcoming = slots.filter(slot => toMinutes(slot.start) > now.minutes);
+    const nextStart = Math.min(...upcoming.map(slot => toMinutes(slot.start)));
+    const next = upcoming.filter(slot => toMinutes(slot.start) === nextStart);
+
+    return { current: current, next: next, startsIn: nextStart - now.minutes };
+  }
+
+  /**
+   * Room of a slot: its own, its track's, or its location
+   */
+  function getRoom(program, slot) {
+    const track = program.tracks[slot.track] || {};
+    return slot.room || track.room || slot.location || '';
+  }
+
+  /**
+   * "Title – Room" for the now/next banner
+   */
+  function describeSlot(program, slot) {
+    const room = getRoom(program, slot);
+    return `${slot.title}${room ? ` – ${room}` : ''}`;
+  }
+
+  /**
+   * Human readable delay ("in 12 min", "in 1 h 05")
+   */
+  function formatDelay(minutes) {
+    if (minutes < 60) return t('program.inMinutes', { minutes: minutes });
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest
+      ? t('program.inHoursMinutes', { hours: hours, minutes: String(rest).padStart(2, '0') })
+      : t('program.inHours', { hours: hours });
+  }
+
+  /**
+   * Highlight the running slots and refresh the now/next banner
+   * Returns false once the event is over (nothing left to follow).
+   */
+  function updateLiveIndicator(program) {
+    const now = getEventNow(program.timezone);
+    const found = findNowNext(program, now);
+    const currentIds = new Set(found.current.map(slot => slot.id));
+
+    document.querySelectorAll(`#${CONTAINER_ID} .time-slot[data-slot-id]`).forEach(element => {
+      const isCurrent = currentIds.has(element.getAttribute('data-slot-id'));
+      element.classList.toggle('time-slot-now', isCurrent);
+      if (isCurrent) {
+        element.setAttribute('aria-current', 'time');
+      } else {
+        element.removeAttribute('aria-current');
+      }
+    });
+
+    const banner = document.getElementById(NOW_NEXT_ID);
+    if (banner) {
+      const lines = [];
+
+      if (found.current.length > 0) {
+        lines.push(`<strong>${t('program.now')}</strong> ${found.current.map(slot => escapeHtml(describeSlot(program, slot))).join(' · ')}`);
+      }
+      if (found.next.length > 0) {
+        lines.push(`<strong>${t('program.next')}</strong> ${found.next.map(slot => escapeHtml(describeSlot(program, slot))).join(' · ')} ${formatDelay(found.startsIn)}`);
+      }
+
+      banner.innerHTML = lines.map(line => `<p><i class="icofont-clock-time"></i> ${line}</p>`).join('');
+      banner.hidden = lines.length === 0;
+    }
+
+    const lastDay = program.days[program.days.length - 1];
+    return !lastDay || now.date <= lastDay.date;
+  }
+
+  /**
+   * Follow the schedule live during the event days: highlight the running
+   * slots, announce the next ones and bring the current slot into view
+   */
+  function startLiveIndicator(program) {
+    const container = document.getElementById(CONTAINER_ID);
+    if (!container || program.days.length === 0) return;
+
+    let banner = document.getElementById(NOW_NEXT_ID);
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = NOW_NEXT_ID;
+      banner.className = 'program-now-next';
+      banner.setAttribute('role', 'status');
+      banner.setAttribute('aria-live', 'polite');
+      banner.hidden = true;
+      container.parentNode.insertBefore(banner, container);
+    }
+
+    if (!updateLiveIndicator(program)) return;
+
+    // Opened during the event without a deep link: show what is happening
+    const current = container.querySelector('.time-slot-now');
+    if (current && !window.location.hash) {
+      setTimeout(() => current.scrollIntoView({ behavior: 'smooth', block: 'center' }), 300);
+    }
+
+    const timer = setInterval(() => {
+      if (!updateLiveIndicator(program)) clearInterval(timer);
+    }, LIVE_REFRESH_MS);
+  }
+
+  /**
+   * Join speaker names: "A", "A and B", "A, B and C"
+   */
+  function joinNames(names) {
+    if (names.length < 2) return names.join('');
+    return `${names.slice(0, -1).join(', ')} ${t('program.and')} ${names[names.length - 1]}`;
+  }
+
+  /**
+   * Show error message
+   */
+  function showError() {
+    const container = document.getElementById(CONTAINER_ID);
+    const loading = document.getElementById(LOADING_ID);
+
+    if (loading) {
+      loading.remove();
+    }
+
+    if (container) {
+      container.innerHTML = `
+        <div class="alert alert-danger text-center" role="alert" style="border-radius: 10px; padding: 30px;">
+          <i class="icofont-warning" style="font-size: 48px; display: block; margin-bottom: 15px;"></i>
+          <h4>${t('program.errorTitle')}</h4>
+          <p>${t('program.errorText')}</p>
+        </div>
+      `;
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
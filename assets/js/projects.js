@@ -1,16 +1,161 @@
 /**
  * BrainHack Marseille 2026 - Projects Renderer with Full-Width Dropdown
  * Fixed version with proper URL parsing and conditional rendering
+ * Labels come from the i18n.js catalogs (loaded before this file).
+ * CSV and JSON-LD exports need export.js; the printable booklet does not.
+ * Dataset cards under "Data to Use" need datasets.js.
+ * The quiz, statistics, dataset index and structured data get the loaded
+ * projects through window.BHM.projects instead of fetching them again.
  */
 
 (function() {
   'use strict';
 
+  const { escapeHtml, formatLabel } = window.BHM.utils;
+  const { t } = window.BHM.i18n;
+
   // Configuration
-  const PROJECTS_JSON_URL = 'assets/data/projects_2026.json';
+  // One JSON file per edition, current edition first; past editions are
+  // generated from the archived pages by scripts/extract_archive_projects.py
+  const DATA_SOURCES = [
+    { year: 2026, url: 'assets/data/projects_2026.json', current: true },
+    { year: 2024, url: 'assets/data/projects_2024.json' },
+    { year: 2023, url: 'assets/data/projects_2023.json' },
+    { year: 2022, url: 'assets/data/projects_2022.json' },
+    { year: 2021, url: 'assets/data/projects_2021.json' },
+    { year: 2020, url: 'assets/data/projects_2020.json' }
+  ];
+  const CURRENT_YEAR = String(DATA_SOURCES.find(source => source.current).year);
+  const ALL_YEARS = 'all';
   const CONTAINER_ID = 'projects-container';
+  const TITLE_ID = 'projects-title';
   const LOADING_ID = 'projects-loading';
   const DEFAULT_IMAGE = 'https://brainhack-marseille.github.io/BHM_2024/images/projects/project_template.png';
+  const FILTERS_ID = 'projects-filters';
+  const SEARCH_DEBOUNCE_MS = 150;
+  const SECTION_HASH = '#projects';
+  const LAST_VISIT_KEY = 'bhm-projects-last-visit';
+  const VISIT_BASELINE_KEY = 'bhm-projects-visit-baseline';
+  const SHORTLIST_KEY = 'bhm-projects-shortlist';
+  const SHORTLIST_PARAM = 'shortlist';
+  const SHORTLIST_ID = 'projects-shortlist';
+  const BOOKLET_ID = 'projects-print-booklet';
+  const EXPORT_FILENAME = 'brainhack-marseille-projects';
+  const CHANGE_EVENT = 'bhm:projectschange';
+
+  // Cards are built a few at a time: the first rows at once, the others
+  // while the browser is idle (IDLE_TIMEOUT_MS caps the wait)
+  const FIRST_CHUNK = 6;
+  const CHUNK_SIZE = 6;
+  const IDLE_TIMEOUT_MS = 500;
+  const IDLE_FALLBACK_MS = 10;
+
+  // Intrinsic size of card images (16:9), so their box is reserved before loading
+  const IMAGE_WIDTH = 640;
+  const IMAGE_HEIGHT = 360;
+
+  // Live refresh: while projects can still change (until the container's
+  // data-refresh-until time), the current edition is polled when the page is
+  // visible, and added or changed cards are outlined for a moment
+  const REFRESH_INTERVAL_MS = 60 * 1000;
+  const REFRESH_HIGHLIGHT_MS = 4000;
+
+  // Facets offered in the filter bar (in display order), labelled by
+  // "projects.facet.<key>" in the catalogs
+  // `multiple` mirrors the issue template: multi-select dropdowns can hold several values
+  const FACETS = [
+    { key: 'topics', icon: 'icofont-tag', multiple: true },
+    { key: 'modalities', icon: 'icofont-brain-alt', multiple: true },
+    { key: 'programming_languages', icon: 'icofont-code', multiple: true },
+    { key: 'tools', icon: 'icofont-wrench', multiple: true },
+    { key: 'type', icon: 'icofont-tag', multiple: true },
+    { key: 'development_status', icon: 'icofont-chart-growth', multiple: false }
+  ];
+
+  // Sort options, labelled by "projects.sort.<key>"; ties keep the JSON order
+  const SORTS = [
+    { key: 'relevance', compare: null },
+    { key: 'newest', compare: (a, b) => getTime(b.created_at) - getTime(a.created_at) },
+    { key: 'updated', compare: (a, b) => getTime(b.updated_at) - getTime(a.updated_at) },
+    { key: 'title', compare: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' }) },
+    { key: 'stage', compare: (a, b) => compareNullable(getStage(a), getStage(b), 1) },
+    { key: 'team', compare: (a, b) => compareNullable(getTeamSize(a), getTeamSize(b), -1) }
+  ];
+
+  // Rows of the shortlist comparison table; `value` returns HTML ('' when not answered)
+  const SHORTLIST_FIELDS = [
+    { label: 'projects.skills', value: project => formatMarkdown(project.skills) },
+    { label: 'projects.programmingLanguages', value: project => escapeHtml(formatList(project.programming_languages)) },
+    { label: 'projects.modalities', value: project => escapeHtml(formatList(project.modalities)) },
+    { label: 'projects.gitSkills', value: project => escapeHtml(getGitSkills(project)) },
+    { label: 'projects.status', value: project => escapeHtml(getStatusLabel(project)) },
+    { label: 'projects.communication', value: project => formatLinks(project.communication) }
+  ];
+
+  // Groups of link buttons in the details panel, labelled by
+  // "projects.links.<key>", in display order; a link not recognised below
+  // joins the group of the field it was found in
+  const LINK_GROUPS = [
+    { key: 'code', field: 'repository', icon: 'icofont-code-alt', button: 'btn-secondary' },
+    { key: 'chat', field: 'communication', icon: 'icofont-speech-comments', button: 'btn-info' },
+    { key: 'docs', field: 'onboarding', icon: 'icofont-book-alt', button: 'btn-success' },
+    { key: 'data', field: null, icon: 'icofont-database', button: 'btn-warning' }
+  ];
+
+  // Links recognised by host (first match wins; a RegExp matches subdomains)
+  // `label` names the link from its URL, or returns null when the URL is
+  // not of that kind after all; a null `group` keeps the field's group
+  // (a README is the code in "repository" and a guide in "onboarding")
+  const FORGE_HOSTS = ['github.com', 'gitlab.com', 'codeberg.org', /^gitlab\./];
+  const LINK_KINDS = [
+    { key: 'file', group: null, icon: 'icofont-file-document', hosts: FORGE_HOSTS, label: getForgeFileLabel },
+    { key: 'github', group: 'code', icon: 'icofont-github', hosts: ['github.com'], label: getRepositoryLabel },
+    { key: 'gitlab', group: 'code', icon: 'icofont-code-alt', hosts: ['gitlab.com', /^gitlab\./], label: getRepositoryLabel },
+    { key: 'codeberg', group: 'code', icon: 'icofont-code-alt', hosts: ['codeberg.org'], label: getRepositoryLabel },
+    { key: 'mattermost', group: 'chat', icon: 'icofont-ui-chat', hosts: [/^mattermost\./, 'framateam.org'], label: getChannelLabel },
+    { key: 'discord', group: 'chat', icon: 'icofont-ui-text-chat', hosts: ['discord.gg', 'discord.com'], label: getDiscordLabel },
+    { key: 'slack', group: 'chat', icon: 'icofont-slack', hosts: [/\.slack\.com$/], label: url => url.hostname },
+    { key: 'openneuro', group: 'data', icon: 'icofont-brain-alt', hosts: ['openneuro.org', 'doi.org'], label: getOpenNeuroLabel },
+    { key: 'zenodo', group: 'data', icon: 'icofont-archive', hosts: ['zenodo.org', 'doi.org'], label: getZenodoLabel },
+    { key: 'osf', group: 'data', icon: 'icofont-document-folder', hosts: ['osf.io'], label: getOsfLabel },
+    { key: 'hackmd', group: 'docs', icon: 'icofont-edit', hosts: ['hackmd.io'], label: getHackmdLabel },
+    { key: 'google', group: 'docs', icon: 'icofont-brand-google', hosts: ['docs.google.com', 'drive.google.com'], label: getGoogleLabel },
+    { key: 'readthedocs', group: 'docs', icon: 'icofont-read-book', hosts: [/\.readthedocs\.io$/, /\.rtfd\.io$/], label: url => url.hostname },
+    { key: 'pages', group: 'docs', icon: 'icofont-book-alt', hosts: [/\.github\.io$/], label: getPagesLabel }
+  ];
+
+  // Google editors, named after the first path segment of docs.google.com
+  const GOOGLE_EDITORS = {
+    document: 'Google Docs',
+    spreadsheets: 'Google Sheets',
+    presentation: 'Google Slides',
+    forms: 'Google Forms'
+  };
+
+  // Rendered cards, selected edition, active filters, search and sort, shared
+  // by the filter bar and the grid
+  const state = {
+    projects: null,
+    cards: [],
+    shortlist: [],
+    sharedShortlist: null,
+    shortlistOpen: false,
+    year: CURRENT_YEAR,
+    filters: {},
+    sort: 'relevance',
+    lastVisit: null,
+    query: '',
+    searchIndex: null,
+    searchScores: null,
+    searchTerms: [],
+    readingUrl: false,
+    buildQueue: [],
+    buildScheduled: false,
+    validators: {},
+    refreshUntil: null,
+    refreshTimer: null,
+    lastRefresh: 0
+  };
 
   /**
    * Main initialization function
@@ -19,10 +164,19 @@
     try {
       console.log('🚀 Loading BrainHack projects...');
       
-      const projects = await loadProjects();
+      state.lastVisit = readLastVisit();
+      state.shortlist = readShortlist();
+      
+      // The dataset metadata cache loads alongside (never rejects)
+      const [projects] = await Promise.all([
+        loadProjects(),
+        window.BHM && window.BHM.datasets ? window.BHM.datasets.load() : null
+      ]);
       console.log(`✅ Loaded ${projects.length} project(s)`);
       
       renderProjects(projects);
+      notifyChange();
+      startLiveRefresh();
       
     } catch (error) {
       console.error('❌ Error loading projects:', error);
@@ -31,17 +185,61 @@
   }
 
   /**
-   * Fetch projects JSON from server
+   * Fetch the projects of every edition
+   * Only the current edition is required: a missing archive is skipped.
    */
   async function loadProjects() {
-    const response = await fetch(PROJECTS_JSON_URL);
+    const results = await Promise.allSettled(DATA_SOURCES.map(loadSource));
+    const projects = [];
+    
+    results.forEach((result, index) => {
+      const source = DATA_SOURCES[index];
+      
+      if (result.status === 'fulfilled') {
+        projects.push(...result.value);
+      } else if (source.current) {
+        throw result.reason;
+      } else {
+        console.warn(`⚠️ Could not load ${source.year} projects:`, result.reason);
+      }
+    });
+    
+    return projects;
+  }
+
+  /**
+   * Fetch one edition's projects JSON from server
+   */
+  async function loadSource(source) {
+    // offline.js falls back to the copy saved by the service worker
+    const response = window.BHM && window.BHM.offline
+      ? await window.BHM.offline.fetch(source.url)
+      : await fetch(source.url);
     
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
-    const projects = await response.json();
-    return projects;
+    if (source.current) state.validators = getValidators(response);
+    return normalizeSource(source, await response.json());
+  }
+
+  /**
+   * Validate one edition's projects
+   */
+  function normalizeSource(source, projects) {
+    // The current edition's JSON (built from GitHub issues) has no year field
+    if (window.BHM && window.BHM.schema) {
+      return window.BHM.schema.normalizeProjects(projects, {
+        source: source.url,
+        defaults: { year: source.year }
+      }).projects;
+    }
+    
+    if (!Array.isArray(projects)) {
+      throw new Error(`${source.url} is not a list of projects`);
+    }
+    return projects.map(project => Object.assign({ year: source.year }, project));
   }
 
   /**
@@ -63,6 +261,9 @@
     
     // Clear container
     container.innerHTML = '';
+    state.projects = projects;
+    container.addEventListener('keydown', onGridKeydown);
+    container.addEventListener('click', onGridClick);
     
     // Handle empty state
     if (projects.length === 0) {
@@ -71,89 +272,1398 @@
     }
     
     // Render each project
-    projects.forEach((project, index) => {
-      const elements = createProjectCard(project, index);
-      container.appendChild(elements.column);
-      container.appendChild(elements.details);
+    state.cards = projects.map((project, index) => {
+      const card = createCard(project, index);
+      container.appendChild(card.column);
+      container.appendChild(card.details);
+      return card;
     });
     
+    // Full-text index (search.js is optional: without it the box is not shown)
+    state.searchIndex = window.BHM && window.BHM.search
+      ? window.BHM.search.createIndex(projects, { id: (project, index) => state.cards[index].id })
+      : null;
+    
+    // Restore filters/search from the query string before drawing the bar
+    state.readingUrl = true;
+    readUrlState();
+    renderFilterBar(container);
+    openFromHash();
+    state.readingUrl = false;
+    
+    // Drop unknown values and filters a deep link had to clear
+    writeUrlState(false);
+    
+    window.addEventListener('popstate', onHistoryChange);
+    window.addEventListener('resize', onResize);
+    
+    // A shared shortlist link opens the comparison straight away
+    if (state.sharedShortlist) state.shortlistOpen = true;
+    renderShortlist();
+    
+    // The first rows right away, the other cards while the browser is idle
+    // (queued here, not by the filter bar, which may not be shown)
+    queuePendingCards();
+    state.buildQueue.splice(0, FIRST_CHUNK).forEach(buildCard);
+    placeOpenDetails();
+    
     console.log(`✅ Rendered ${projects.length} project card(s)`);
   }
 
   /**
-   * Check if a field has actual content
+   * Grid entry of a project: its (empty) elements and what the filters need
    */
-  function hasContent(value) {
-    if (!value) return false;
-    const cleaned = value.trim().toLowerCase();
-    return cleaned !== '' && 
-           cleaned !== 'no response' && 
-           cleaned !== '_no response_' &&
-           cleaned !== 'not_applicable' &&
-           cleaned !== 'not applicable';
+  function createCard(project, index) {
+    const elements = createProjectCard(project, index);
+    
+    return {
+      id: elements.id,
+      slug: String(project.id || index),
+      year: String(project.year),
+      project: project,
+      column: elements.column,
+      details: elements.details,
+      facets: getProjectFacets(project),
+      built: false,
+      detailsBuilt: false
+    };
+  }
+
+  /**
+   * Read edition, filter and search state from the query string
+   * (e.g. ?year=all&q=fsl&modalities=dwi,eeg)
+   */
+  function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    
+    const year = params.get('year');
+    state.year = year === ALL_YEARS || DATA_SOURCES.some(source => String(source.year) === year)
+      ? year
+      : CURRENT_YEAR;
+    
+    state.filters = {};
+    FACETS.forEach(facet => {
+      const values = (params.get(facet.key) || '').split(',').filter(Boolean);
+      if (values.length > 0) state.filters[facet.key] = new Set(values.map(value => value.toLowerCase()));
+    });
+    
+    const sort = params.get('sort');
+    state.sort = SORTS.some(option => option.key === sort) ? sort : 'relevance';
+    
+    const shared = (params.get(SHORTLIST_PARAM) || '').split(',').filter(Boolean);
+    state.sharedShortlist = shared.length > 0 ? shared : null;
+    
+    runSearch(params.get('q') || '');
+  }
+
+  /**
+   * Write the current filters, search and open project back to the URL
+   * Opening/closing a project adds a history entry; filtering only replaces it.
+   */
+  function writeUrlState(push) {
+    // The URL is the source of truth while it is being applied
+    if (state.readingUrl) return;
+    
+    const params = new URLSearchParams(window.location.search);
+    
+    if (state.year !== CURRENT_YEAR) {
+      params.set('year', state.year);
+    } else {
+      params.delete('year');
+    }
+    
+    FACETS.forEach(facet => {
+      const selected = state.filters[facet.key];
+      if (selected && selected.size > 0) {
+        params.set(facet.key, [...selected].join(','));
+      } else {
+        params.delete(facet.key);
+      }
+    });
+    
+    if (state.query) {
+      params.set('q', state.query);
+    } else {
+      params.delete('q');
+    }
+    
+    if (state.sort !== 'relevance') {
+      params.set('sort', state.sort);
+    } else {
+      params.delete('sort');
+    }
+    
+    if (state.sharedShortlist) {
+      params.set(SHORTLIST_PARAM, state.sharedShortlist.join(','));
+    } else {
+      params.delete(SHORTLIST_PARAM);
+    }
+    
+    // Keep unrelated hashes (#program, #team...) untouched
+    const openCard = state.cards.find(card => card.details.style.display !== 'none');
+    let hash = window.location.hash;
+    if (openCard) {
+      hash = `${SECTION_HASH}/${openCard.slug}`;
+    } else if (hash.startsWith(`${SECTION_HASH}/`)) {
+      hash = SECTION_HASH;
+    }
+    
+    const query = params.toString().replace(/%2C/g, ',');
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${hash}`;
+    
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    
+    if (push) {
+      history.pushState(null, '', url);
+    } else {
+      history.replaceState(null, '', url);
+    }
+  }
+
+  /**
+   * Find the card referenced by a #projects/<id> hash
+   */
+  function getCardFromHash() {
+    const prefix = `${SECTION_HASH}/`;
+    const hash = decodeURIComponent(window.location.hash);
+    
+    if (!hash.startsWith(prefix)) return null;
+    
+    const slug = hash.slice(prefix.length);
+    return state.cards.find(card => card.slug === slug) || null;
+  }
+
+  /**
+   * Open (and scroll to) the project named in the hash, closing any other
+   */
+  function openFromHash() {
+    const card = getCardFromHash();
+    const isOpen = card && card.details.style.display !== 'none';
+    
+    if (isOpen) return;
+    
+    closeAllDetails();
+    if (!card) return;
+    
+    // A shared link must work even if the current filters would hide it
+    if (card.column.classList.contains('project-filtered-out')) {
+      const input = document.querySelector(`#${FILTERS_ID} .filter-search-input`);
+      if (input) input.value = '';
+      
+      if (!matchesYear(card)) state.year = card.year;
+      state.filters = {};
+      runSearch('');
+      applyFilters();
+    }
+    
+    buildCard(card);
+    openDetails(card.details, card.column, card.column.querySelector('.btn-project-toggle'));
+  }
+
+  /**
+   * Back/forward: bring filters, search and open panel in line with the URL
+   */
+  function onHistoryChange() {
+    state.readingUrl = true;
+    readUrlState();
+    
+    const input = document.querySelector(`#${FILTERS_ID} .filter-search-input`);
+    if (input) input.value = state.query;
+    
+    applyFilters();
+    openFromHash();
+    renderShortlist();
+    state.readingUrl = false;
+  }
+
+  /**
+   * Split a (possibly multi-select) dropdown field into distinct values
+   * GitHub issue forms join multiple choices with commas; free-text answers
+   * sometimes use semicolons or line breaks instead.
+   */
+  function splitFacetValues(value, multiple) {
+    if (!hasContent(value)) return [];
+    
+    const seen = new Set();
+    return (multiple ? value.split(/[,;\n]+/) : [value.replace(/\s+/g, ' ')])
+      .map(item => item.replace(/`/g, '').trim())
+      .filter(item => {
+        const key = item.toLowerCase();
+        if (!hasContent(item) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Collect the facet values of a project, keyed by facet then lowercased value
+   */
+  function getProjectFacets(project) {
+    const facets = {};
+    
+    FACETS.forEach(facet => {
+      facets[facet.key] = new Map(
+        splitFacetValues(project[facet.key], facet.multiple).map(value => [value.toLowerCase(), value])
+      );
+    });
+    
+    return facets;
+  }
+
+  /**
+   * Check whether a card belongs to the selected edition(s)
+   */
+  function matchesYear(card) {
+    return state.year === ALL_YEARS || card.year === state.year;
+  }
+
+  /**
+   * Check whether a card matches the edition, the search and every active
+   * facet, optionally ignoring one facet (used to compute the counts shown on
+   * its own chips)
+   */
+  function matchesFilters(card, ignoredFacet) {
+    if (!matchesYear(card)) return false;
+    if (state.searchScores && !state.searchScores.has(card.id)) return false;
+    
+    return FACETS.every(facet => {
+      const selected = state.filters[facet.key];
+      if (facet.key === ignoredFacet || !selected || selected.size === 0) return true;
+      
+      for (const value of selected) {
+        if (card.facets[facet.key].has(value)) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Build the search box and filter bar above the grid from the values
+   * present in the JSON
+   */
+  function renderFilterBar(container) {
+    let bar = document.getElementById(FILTERS_ID);
+    
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = FILTERS_ID;
+      bar.className = 'projects-filter-bar';
+      container.parentNode.insertBefore(bar, container);
+      
+      bar.addEventListener('click', onFilterBarClick);
+      bar.addEventListener('input', onSearchInput);
+      bar.addEventListener('change', onSortChange);
+    }
+    
+    const groups = FACETS.map(facet => {
+      // Distinct values for this facet, labelled after their first spelling
+      const values = new Map();
+      state.cards.forEach(card => {
+        card.facets[facet.key].forEach((label, key) => {
+          if (!values.has(key)) values.set(key, label);
+        });
+      });
+      
+      if (values.size === 0) return '';
+      
+      const chips = [...values.entries()]
+        .sort((a, b) => a[1].localeCompare(b[1], undefined, { sensitivity: 'base' }))
+        .map(([key, label]) => `
+          <button type="button"
+                  class="filter-chip"
+                  data-facet="${facet.key}"
+                  data-value="${escapeHtml(key)}"
+                  aria-pressed="false">
+            ${escapeHtml(formatLabel(label))}
+            <span class="filter-chip-count"></span>
+          </button>
+        `).join('');
+      
+      return `
+        <div class="filter-group" data-facet="${facet.key}">
+          <span class="filter-group-label"><i class="${facet.icon}"></i> ${t(`projects.facet.${facet.key}`)}</span>
+          <div class="filter-chips">${chips}</div>
+        </div>
+      `;
+    }).join('');
+    
+    // Edition switcher, only when archived editions were loaded
+    const years = DATA_SOURCES
+      .map(source => String(source.year))
+      .filter(year => state.cards.some(card => card.year === year));
+    
+    if (!groups && !state.searchIndex && years.length < 2) {
+      bar.remove();
+      return;
+    }
+    
+    bar.innerHTML = `
+      ${years.length > 1 ? `
+        <div class="filter-years" role="group" aria-label="${t('projects.edition')}">
+          ${years.concat(ALL_YEARS).map(year => `
+            <button type="button"
+                    class="filter-year"
+                    data-year="${year}"
+                    aria-pressed="false">
+              ${year === ALL_YEARS ? t('projects.allEditions') : year}
+            </button>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${state.searchIndex ? `
+        <div class="filter-search">
+          <i class="icofont-search-1"></i>
+          <input type="search"
+                 class="filter-search-input"
+                 placeholder="${t('projects.searchPlaceholder')}"
+                 aria-label="${t('projects.searchLabel')}">
+        </div>
+      ` : ''}
+      ${groups}
+      <div class="filter-summary">
+        <span class="filter-result-count" role="status" aria-live="polite"></span>
+        <button type="button" class="btn-clear-filters" hidden>
+          <i class="icofont-close-line"></i> ${t('projects.clearFilters')}
+        </button>
+        <label class="filter-sort">
+          <i class="icofont-sort"></i> ${t('projects.sortBy')}
+          <select class="filter-sort-select">
+            ${SORTS.map(option => `
+              <option value="${option.key}"${option.key === state.sort ? ' selected' : ''}>${t(`projects.sort.${option.key}`)}</option>
+            `).join('')}
+          </select>
+        </label>
+      </div>
+      <div class="filter-export" role="group" aria-label="${t('projects.export')}">
+        <span class="filter-group-label"><i class="icofont-download"></i> ${t('projects.export')}</span>
+        ${window.BHM && window.BHM.export ? `
+          <button type="button" class="btn-export" data-export="csv">${t('projects.exportCsv')}</button>
+          <button type="button" class="btn-export" data-export="jsonld">${t('projects.exportJsonLd')}</button>
+        ` : ''}
+        <button type="button" class="btn-export" data-export="print">
+          <i class="icofont-print" aria-hidden="true"></i> ${t('projects.exportPrint')}
+        </button>
+        <label class="filter-export-all">
+          <input type="checkbox" class="filter-export-all-input"> ${t('projects.exportAll')}
+        </label>
+      </div>
+    `;
+    
+    // The query can come from a shared link: set it as a property, never as markup
+    const input = bar.querySelector('.filter-search-input');
+    if (input) input.value = state.query;
+    
+    applyFilters();
+  }
+
+  /**
+   * Handle clicks on the edition switcher, chips and the "Clear filters" button
+   */
+  function onFilterBarClick(event) {
+    const yearButton = event.target.closest('.filter-year');
+    
+    if (yearButton) {
+      state.year = yearButton.getAttribute('data-year');
+      applyFilters();
+      return;
+    }
+    
+    const chip = event.target.closest('.filter-chip');
+    
+    if (chip) {
+      const facet = chip.getAttribute('data-facet');
+      const value = chip.getAttribute('data-value');
+      const selected = state.filters[facet] || (state.filters[facet] = new Set());
+      
+      if (selected.has(value)) {
+        selected.delete(value);
+      } else {
+        selected.add(value);
+      }
+      
+      applyFilters();
+      return;
+    }
+    
+    const exportButton = event.target.closest('.btn-export');
+    
+    if (exportButton) {
+      const all = document.querySelector(`#${FILTERS_ID} .filter-export-all-input`);
+      exportProjects(exportButton.getAttribute('data-export'), Boolean(all && all.checked));
+      return;
+    }
+    
+    if (event.target.closest('.btn-clear-filters')) {
+      const input = document.querySelector(`#${FILTERS_ID} .filter-search-input`);
+      if (input) input.value = '';
+      
+      state.filters = {};
+      setSearchQuery('');
+    }
+  }
+
+  /**
+   * Cards to export: the ones shown, in grid order, or every loaded project
+   * (all editions, JSON order) when filters are ignored
+   */
+  function getExportCards(all) {
+    if (all) return state.cards.slice();
+    
+    const container = document.getElementById(CONTAINER_ID);
+    return [...container.querySelectorAll('.project-card-column:not(.project-filtered-out)')]
+      .map(column => state.cards.find(card => card.column === column))
+      .filter(Boolean);
+  }
+
+  /**
+   * Download the projects as CSV or JSON-LD, or print them as a booklet
+   */
+  function exportProjects(format, all) {
+    const cards = getExportCards(all);
+    if (cards.length === 0) return;
+    
+    const projects = cards.map(card => card.project);
+    const filename = `${EXPORT_FILENAME}-${all ? ALL_YEARS : state.year}`;
+    
+    if (format === 'csv') {
+      window.BHM.utils.download(`${filename}.csv`, 'text/csv;charset=utf-8', window.BHM.export.toCsv(projects));
+    } else if (format === 'jsonld') {
+      window.BHM.utils.download(`${filename}.jsonld`, 'application/ld+json',
+        window.BHM.export.toJsonLd(projects, { eventName: 'BrainHack Marseille' }));
+    } else if (format === 'print') {
+      printBooklet(cards, all ? t('projects.titleAll') : document.getElementById(TITLE_ID).textContent);
+    }
+    
+    console.log(`📤 Exported ${projects.length} project(s) as ${format}`);
+  }
+
+  /**
+   * Print every project's full details, one per page, after a cover listing
+   * them. The booklet is built from copies of the details panels and only
+   * exists while the print dialog is open.
+   */
+  function printBooklet(cards, title) {
+    const previous = document.getElementById(BOOKLET_ID);
+    if (previous) previous.remove();
+    
+    const booklet = document.createElement('div');
+    booklet.id = BOOKLET_ID;
+    booklet.className = 'projects-print-booklet';
+    booklet.innerHTML = `
+      <section class="booklet-cover">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${t('projects.count', { count: cards.length })}</p>
+        <ol>
+          ${cards.map(card => `<li>${escapeHtml(card.project.title)}</li>`).join('')}
+        </ol>
+      </section>
+    `;
+    
+    cards.forEach(card => {
+      buildDetails(card);
+      const page = card.details.cloneNode(true);
+      
+      // Copies must not clash with the grid (ids, focus, search highlights)
+      page.removeAttribute('style');
+      ['id', 'role', 'aria-labelledby', 'tabindex', 'data-card-id'].forEach(name => page.removeAttribute(name));
+      page.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+      page.querySelectorAll('mark.search-highlight').forEach(mark => mark.replaceWith(...mark.childNodes));
+      page.className = 'project-details-fullwidth booklet-page';
+      
+      booklet.appendChild(page);
+    });
+    
+    document.body.appendChild(booklet);
+    document.body.classList.add('projects-printing');
+    
+    const cleanup = function() {
+      window.removeEventListener('afterprint', cleanup);
+      document.body.classList.remove('projects-printing');
+      booklet.remove();
+    };
+    window.addEventListener('afterprint', cleanup);
+    
+    window.print();
+  }
+
+  /**
+   * Re-order the grid when another sort is picked
+   */
+  function onSortChange(event) {
+    if (!event.target.classList.contains('filter-sort-select')) return;
+    
+    state.sort = event.target.value;
+    applyFilters();
+  }
+
+  let searchTimer = null;
+
+  /**
+   * Debounce typing in the search box
+   */
+  function onSearchInput(event) {
+    if (!event.target.classList.contains('filter-search-input')) return;
+    
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => setSearchQuery(event.target.value), SEARCH_DEBOUNCE_MS);
+  }
+
+  /**
+   * Run a query against the index and refresh the grid
+   */
+  function setSearchQuery(query) {
+    runSearch(query);
+    applyFilters();
+  }
+
+  /**
+   * Update the search scores and matched terms for a query
+   */
+  function runSearch(query) {
+    state.query = query.trim();
+    
+    if (!state.query || !state.searchIndex) {
+      state.searchScores = null;
+      state.searchTerms = [];
+    } else {
+      const found = state.searchIndex.search(state.query);
+      state.searchScores = new Map(found.results.map(result => [result.id, result.score]));
+      state.searchTerms = found.terms;
+    }
+  }
+
+  /**
+   * Show, hide and rank cards according to the filters and search, then
+   * refresh the bar. Cards are only moved or hidden, never rebuilt, so open
+   * state and listeners survive.
+   */
+  function applyFilters() {
+    let visibleCount = 0;
+    
+    state.cards.forEach(card => {
+      const visible = matchesFilters(card);
+      setCardVisibility(card, visible);
+      highlightCard(card, visible ? state.searchTerms : []);
+      if (visible) visibleCount++;
+    });
+    
+    orderCards();
+    updateFilterBar(visibleCount);
+    writeUrlState(false);
+    queuePendingCards();
+  }
+
+  /**
+   * Put cards in the selected sort order. "Best match" ranks by search score
+   * while a query is active and keeps the JSON order otherwise.
+   */
+  function orderCards() {
+    const container = document.getElementById(CONTAINER_ID);
+    if (!container) return;
+    
+    const sort = SORTS.find(option => option.key === state.sort) || SORTS[0];
+    let ordered = state.cards;
+    
+    if (sort.compare) {
+      ordered = state.cards.slice().sort((a, b) => sort.compare(a.project, b.project));
+    } else if (state.searchScores) {
+      ordered = state.cards.slice().sort((a, b) =>
+        (state.searchScores.get(b.id) || 0) - (state.searchScores.get(a.id) || 0));
+    }
+    
+    ordered.forEach(card => {
+      container.appendChild(card.column);
+      container.appendChild(card.details);
+    });
+    
+    // Rows changed: the open panel goes back under its card's row
+    placeOpenDetails();
+  }
+
+  /**
+   * Timestamp of an ISO date string (0 when missing or invalid)
+   */
+  function getTime(value) {
+    const time = Date.parse(value);
+    return isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Compare two optional numbers, always putting missing values last
+   * `direction` is 1 for ascending and -1 for descending order.
+   */
+  function compareNullable(a, b, direction) {
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return (a - b) * direction;
+  }
+
+  /**
+   * Development stage level set by schema.js (e.g. "1_basic structure" -> 1),
+   * or null for free-text answers
+   */
+  function getStage(project) {
+    return project.stage ? project.stage.level : null;
+  }
+
+  /**
+   * Team size from the "Number of collaborators" range set by schema.js
+   * ("3-5" -> 5, "more" -> 8), or null when not answered
+   */
+  function getTeamSize(project) {
+    const size = project.team_size;
+    if (!size) return null;
+    return size.max !== null ? size.max : size.min;
+  }
+
+  /**
+   * Timestamp of the visitor's previous visit, used for the "updated" badges
+   * The baseline is kept for the whole browser session so that reloading the
+   * page does not make the badges disappear.
+   */
+  function readLastVisit() {
+    try {
+      let baseline = sessionStorage.getItem(VISIT_BASELINE_KEY);
+      
+      if (baseline === null) {
+        baseline = localStorage.getItem(LAST_VISIT_KEY) || '';
+        sessionStorage.setItem(VISIT_BASELINE_KEY, baseline);
+      }
+      
+      localStorage.setItem(LAST_VISIT_KEY, new Date().toISOString());
+      return getTime(baseline) || null;
+    } catch (error) {
+      // Storage can be unavailable (private browsing, blocked cookies)
+      return null;
+    }
+  }
+
+  /**
+   * Badge for projects created or edited since the previous visit
+   */
+  function createUpdateBadge(project) {
+    if (!state.lastVisit) return '';
+    
+    if (getTime(project.created_at) > state.lastVisit) {
+      return `<span class="project-badge project-badge-new"><i class="icofont-star"></i> ${t('projects.badgeNew')}</span>`;
+    }
+    if (getTime(project.updated_at) > state.lastVisit) {
+      return `<span class="project-badge project-badge-updated"><i class="icofont-refresh"></i> ${t('projects.badgeUpdated')}</span>`;
+    }
+    return '';
+  }
+
+  /**
+   * Starred projects saved on this device, as project ids
+   */
+  function readShortlist() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SHORTLIST_KEY) || '[]');
+      return Array.isArray(saved) ? saved.map(String) : [];
+    } catch (error) {
+      // Storage unavailable or edited by hand
+      return [];
+    }
+  }
+
+  /**
+   * Save the starred projects
+   */
+  function saveShortlist() {
+    try {
+      localStorage.setItem(SHORTLIST_KEY, JSON.stringify(state.shortlist));
+    } catch (error) {
+      // The shortlist then only lasts for this page
+    }
+  }
+
+  /**
+   * Star or unstar a project
+   */
+  function toggleShortlist(slug) {
+    const index = state.shortlist.indexOf(slug);
+    
+    if (index === -1) {
+      state.shortlist.push(slug);
+    } else {
+      state.shortlist.splice(index, 1);
+    }
+    
+    saveShortlist();
+    renderShortlist();
+  }
+
+  /**
+   * Handle clicks on the cards' star buttons
+   */
+  function onGridClick(event) {
+    const star = event.target.closest('.btn-project-star');
+    if (!star) return;
+    
+    const card = state.cards.find(item => item.id === star.getAttribute('data-card-id'));
+    if (card) toggleShortlist(card.slug);
+  }
+
+  /**
+   * Link to the current shortlist (opens the comparison for whoever follows it)
+   */
+  function getShortlistUrl(slugs) {
+    const ids = slugs.map(encodeURIComponent).join(',');
+    return `${window.location.origin}${window.location.pathname}?${SHORTLIST_PARAM}=${ids}${SECTION_HASH}`;
+  }
+
+  /**
+   * Floating button and drawer, created on first use
+   */
+  function getShortlistElements() {
+    let drawer = document.getElementById(SHORTLIST_ID);
+    let toggle = document.querySelector('.shortlist-toggle');
+    
+    if (!drawer) {
+      toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'shortlist-toggle';
+      toggle.setAttribute('aria-controls', SHORTLIST_ID);
+      toggle.addEventListener('click', () => setShortlistOpen(!state.shortlistOpen));
+      
+      drawer = document.createElement('section');
+      drawer.id = SHORTLIST_ID;
+      drawer.className = 'shortlist-drawer';
+      drawer.setAttribute('aria-labelledby', `${SHORTLIST_ID}-title`);
+      drawer.hidden = true;
+      drawer.addEventListener('click', onShortlistClick);
+      drawer.addEventListener('keydown', event => {
+        if (event.key === 'Escape') setShortlistOpen(false);
+      });
+      
+      document.body.appendChild(toggle);
+      document.body.appendChild(drawer);
+    }
+    
+    return { toggle: toggle, drawer: drawer };
+  }
+
+  /**
+   * Open or close the drawer, moving focus with it
+   */
+  function setShortlistOpen(open) {
+    state.shortlistOpen = open;
+    
+    // Closing a shared list goes back to the visitor's own
+    if (!open && state.sharedShortlist) {
+      state.sharedShortlist = null;
+      writeUrlState(false);
+    }
+    
+    renderShortlist();
+    
+    const { toggle } = getShortlistElements();
+    if (open) {
+      focusShortlistTitle();
+    } else if (!toggle.hidden) {
+      toggle.focus();
+    }
+  }
+
+  /**
+   * Put focus on the drawer's heading (the drawer is rebuilt on each change)
+   */
+  function focusShortlistTitle() {
+    const title = document.getElementById(`${SHORTLIST_ID}-title`);
+    if (title) title.focus();
+  }
+
+  /**
+   * Handle the drawer's buttons
+   */
+  function onShortlistClick(event) {
+    const remove = event.target.closest('.shortlist-remove');
+    
+    if (remove) {
+      toggleShortlist(remove.getAttribute('data-slug'));
+      focusShortlistTitle();
+    } else if (event.target.closest('.shortlist-close')) {
+      setShortlistOpen(false);
+    } else if (event.target.closest('.shortlist-clear')) {
+      state.shortlist = [];
+      saveShortlist();
+      renderShortlist();
+      focusShortlistTitle();
+    } else if (event.target.closest('.shortlist-save')) {
+      state.shortlist = state.sharedShortlist.filter(slug => state.cards.some(card => card.slug === slug));
+      state.sharedShortlist = null;
+      saveShortlist();
+      writeUrlState(false);
+      renderShortlist();
+    } else if (event.target.closest('.shortlist-copy')) {
+      copyShortlistLink(event.target.closest('.shortlist-copy'));
+    } else if (event.target.closest('.shortlist-project-link')) {
+      // The link opens the project below; get the drawer out of the way
+      state.shortlistOpen = false;
+      renderShortlist();
+    }
+  }
+
+  /**
+   * Copy the share link, falling back to selecting it
+   */
+  function copyShortlistLink(button) {
+    const input = document.getElementById(`${SHORTLIST_ID}-link`);
+    const done = () => {
+      button.textContent = t('projects.shortlistCopied');
+    };
+    
+    input.select();
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(input.value).then(done).catch(() => {
+        // Left selected for a manual copy
+      });
+    } else if (document.execCommand && document.execCommand('copy')) {
+      done();
+    }
+  }
+
+  /**
+   * Show whether a card is in the shortlist
+   */
+  function updateStar(card) {
+    const star = card.column.querySelector('.btn-project-star');
+    const starred = state.shortlist.includes(card.slug);
+    
+    star.setAttribute('aria-pressed', String(starred));
+    star.setAttribute('aria-label', t('projects.shortlistStar', { title: card.project.title }));
+    star.title = star.getAttribute('aria-label');
+    star.classList.toggle('active', starred);
+  }
+
+  /**
+   * Refresh the stars, the floating button and the comparison drawer
+   * A shared list (?shortlist=...) is shown instead of the visitor's own
+   * until it is saved or closed.
+   */
+  function renderShortlist() {
+    state.cards.filter(card => card.built).forEach(updateStar);
+    
+    const { toggle, drawer } = getShortlistElements();
+    const shared = state.sharedShortlist;
+    
+    toggle.innerHTML = `
+      <i class="icofont-star" aria-hidden="true"></i>
+      ${t('projects.shortlistButton', { count: state.shortlist.length })}
+    `;
+    toggle.setAttribute('aria-expanded', String(state.shortlistOpen));
+    toggle.hidden = state.shortlist.length === 0 && !state.shortlistOpen;
+    
+    drawer.hidden = !state.shortlistOpen;
+    if (!state.shortlistOpen) return;
+    
+    const cards = (shared || state.shortlist)
+      .map(slug => state.cards.find(card => card.slug === slug))
+      .filter(Boolean);
+    
+    drawer.innerHTML = `
+      <div class="shortlist-header">
+        <h3 id="${SHORTLIST_ID}-title" tabindex="-1">
+          <i class="icofont-star" aria-hidden="true"></i>
+          ${t(shared ? 'projects.shortlistShared' : 'projects.shortlistTitle')}
+        </h3>
+        <div class="shortlist-actions">
+          ${shared && cards.length > 0 ? `
+            <button type="button" class="btn btn-sm btn-primary shortlist-save">${t('projects.shortlistSave')}</button>
+          ` : ''}
+          ${!shared && cards.length > 0 ? `
+            <button type="button" class="btn btn-sm btn-outline-secondary shortlist-clear">${t('projects.shortlistClear')}</button>
+          ` : ''}
+          <button type="button" class="shortlist-close" aria-label="${t('projects.shortlistClose')}">
+            <i class="icofont-close-line" aria-hidden="true"></i>
+          </button>
+        </div>
+      </div>
+      
+      ${cards.length > 0 ? `
+        <div class="shortlist-share">
+          <label for="${SHORTLIST_ID}-link">${t('projects.shortlistShare')}</label>
+          <input type="text" id="${SHORTLIST_ID}-link" class="form-control form-control-sm" readonly
+                 value="${escapeHtml(getShortlistUrl(cards.map(card => card.slug)))}">
+          <button type="button" class="btn btn-sm btn-outline-primary shortlist-copy">${t('projects.shortlistCopy')}</button>
+        </div>
+        
+        <div class="shortlist-table-wrapper">
+          <table class="table shortlist-table">
+            <caption class="sr-only">${t('projects.shortlistCompare')}</caption>
+            <thead>
+              <tr>
+                <td></td>
+                ${cards.map(card => `
+                  <th scope="col">
+                    <a href="${SECTION_HASH}/${encodeURIComponent(card.slug)}" class="shortlist-project-link">${escapeHtml(card.project.title)}</a>
+                    ${card.year !== CURRENT_YEAR ? `<span class="shortlist-year">${escapeHtml(card.year)}</span>` : ''}
+                    ${!shared ? `
+                      <button type="button" class="shortlist-remove" data-slug="${escapeHtml(card.slug)}">
+                        <i class="icofont-close-line" aria-hidden="true"></i>
+                        <span class="sr-only">${escapeHtml(t('projects.shortlistRemove', { title: card.project.title }))}</span>
+                      </button>
+                    ` : ''}
+                  </th>
+                `).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${SHORTLIST_FIELDS.map(field => `
+                <tr>
+                  <th scope="row">${t(field.label)}</th>
+                  ${cards.map(card => `
+                    <td>${field.value(card.project) || `<span class="text-muted">${t('projects.notSpecified')}</span>`}</td>
+                  `).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : `
+        <p class="shortlist-empty">${t('projects.shortlistEmpty')}</p>
+      `}
+    `;
+  }
+
+  /**
+   * Mark search hits in the card header and the full-width details panel
+   */
+  function highlightCard(card, terms) {
+    if (!window.BHM || !window.BHM.search) return;
+    
+    // Parts not built yet are highlighted when they are
+    [card.column.querySelector('.project-header'),
+     card.details.querySelector('.project-details-content-fullwidth')].filter(Boolean).forEach(root => {
+      window.BHM.search.highlight(root, terms);
+    });
+  }
+
+  /**
+   * Hide a card together with its full-width details panel
+   */
+  function setCardVisibility(card, visible) {
+    if (!visible && card.details.style.display !== 'none') {
+      const toggleBtn = card.column.querySelector('.btn-project-toggle');
+      closeDetails(card.details, card.column, toggleBtn);
+    }
+    
+    card.column.classList.toggle('project-filtered-out', !visible);
+    card.details.classList.toggle('project-filtered-out', !visible);
+  }
+
+  /**
+   * Refresh chip states, live counts and the result summary
+   */
+  function updateFilterBar(visibleCount) {
+    updateTitle();
+    
+    const bar = document.getElementById(FILTERS_ID);
+    if (!bar) return;
+    
+    bar.querySelectorAll('.filter-year').forEach(button => {
+      const isSelected = button.getAttribute('data-year') === state.year;
+      button.setAttribute('aria-pressed', String(isSelected));
+      button.classList.toggle('active', isSelected);
+    });
+    
+    bar.querySelectorAll('.filter-chip').forEach(chip => {
+      const facet = chip.getAttribute('data-facet');
+      const value = chip.getAttribute('data-value');
+      const isSelected = Boolean(state.filters[facet] && state.filters[facet].has(value));
+      
+      // Only offer values used in the selected edition(s)
+      const inYear = state.cards.some(card => matchesYear(card) && card.facets[facet].has(value));
+      chip.hidden = !inYear && !isSelected;
+      
+      // Count the projects this chip would show, given the other facets
+      const count = state.cards.filter(card =>
+        card.facets[facet].has(value) && matchesFilters(card, facet)
+      ).length;
+      
+      chip.setAttribute('aria-pressed', String(isSelected));
+      chip.classList.toggle('active', isSelected);
+      chip.disabled = count === 0 && !isSelected;
+      chip.querySelector('.filter-chip-count').textContent = count;
+    });
+    
+    bar.querySelectorAll('.filter-group').forEach(group => {
+      group.hidden = !group.querySelector('.filter-chip:not([hidden])');
+    });
+    
+    const total = state.cards.filter(matchesYear).length;
+    const hasFilters = Boolean(state.query) ||
+      Object.values(state.filters).some(selected => selected.size > 0);
+    
+    bar.querySelector('.filter-result-count').textContent = hasFilters
+      ? t('projects.showing', { visible: visibleCount, count: total })
+      : t('projects.count', { count: total });
+    bar.querySelector('.btn-clear-filters').hidden = !hasFilters;
+    
+    if (visibleCount > 0) {
+      toggleNoResults(null);
+    } else {
+      toggleNoResults(hasFilters
+        ? t('projects.noMatch')
+        : t('projects.noneForYear', { year: state.year }));
+    }
+  }
+
+  /**
+   * Name the selected edition(s) in the heading above the grid
+   */
+  function updateTitle() {
+    const title = document.getElementById(TITLE_ID);
+    if (!title) return;
+    
+    title.textContent = state.year === ALL_YEARS
+      ? t('projects.titleAll')
+      : t('projects.title', { year: state.year });
+  }
+
+  /**
+   * Show a message in the grid when no project is visible (null hides it)
+   */
+  function toggleNoResults(text) {
+    const container = document.getElementById(CONTAINER_ID);
+    let message = document.getElementById('projects-no-results');
+    
+    if (!text) {
+      if (message) message.remove();
+      return;
+    }
+    
+    if (!message && container) {
+      message = document.createElement('div');
+      message.id = 'projects-no-results';
+      message.className = 'col-12 text-center';
+      message.innerHTML = `
+        <p class="projects-no-results-text">
+          <i class="icofont-search-document"></i>
+          <span class="projects-no-results-message"></span>
+        </p>
+      `;
+      container.appendChild(message);
+    }
+    
+    if (message) message.querySelector('.projects-no-results-message').textContent = text;
+  }
+
+  /**
+   * Check if a field has actual content
+   */
+  function hasContent(value) {
+    if (!value) return false;
+    const cleaned = value.trim().toLowerCase();
+    return cleaned !== '' && 
+           cleaned !== 'no response' && 
+           cleaned !== '_no response_' &&
+           cleaned !== 'not_applicable' &&
+           cleaned !== 'not applicable';
+  }
+
+  /**
+   * Extract the http(s) links of a text field, in order and without
+   * duplicates: markdown links keep their text, bare URLs are named after
+   * their kind (see LINK_KINDS) or host
+   * Bare URLs may be wrapped in <angle brackets> or glued to punctuation;
+   * other schemes (mailto:, javascript:...) and relative links are dropped.
+   *
+   * @param {string} text - Answer of the issue form
+   * @param {Set<string>} [seen] - URLs already extracted, shared to drop
+   *   duplicates across several fields
+   * @returns {Array<{url: string, label: string, kind: ?Object}>}
+   */
+  function extractUrls(text, seen) {
+    if (!hasContent(text)) return [];
+    
+    const keys = seen || new Set();
+    const links = [];
+    const pattern = /\[([^\]]+)\]\(\s*<?([^()\s<>]+)>?(?:\s+"[^"]*")?\s*\)|https?:\/\/[^\s<>"'`]+/gi;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+      const url = parseHttpUrl(match[2] ? match[2] : trimUrl(match[0]));
+      if (!url) continue;
+      
+      // Same page: the hash and a trailing slash do not count
+      const key = `${url.origin}${url.pathname.replace(/\/$/, '')}${url.search}`.toLowerCase();
+      if (keys.has(key)) continue;
+      keys.add(key);
+      
+      const kind = findLinkKind(url);
+      links.push({
+        url: url.href,
+        label: match[1] ? match[1].trim() : (kind ? kind.label(url) : url.hostname.replace(/^www\./, '')),
+        kind: kind
+      });
+    }
+    
+    return links;
+  }
+
+  /**
+   * Drop the punctuation a bare URL was glued to ("see https://x.org)." ->
+   * "https://x.org"), keeping parentheses that belong to the URL
+   */
+  function trimUrl(url) {
+    let trimmed = url;
+    
+    for (;;) {
+      const last = trimmed.slice(-1);
+      const unbalanced = last === ')' && trimmed.split('(').length < trimmed.split(')').length;
+      
+      if (!/[.,;:!?*_~\]}]/.test(last) && !unbalanced) return trimmed;
+      trimmed = trimmed.slice(0, -1);
+    }
+  }
+
+  /**
+   * URL object of an absolute http(s) link, or null
+   */
+  function parseHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return /^https?:$/.test(url.protocol) ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * First LINK_KINDS entry whose host and label match a URL, or null
+   */
+  function findLinkKind(url) {
+    const host = url.hostname.replace(/^www\./, '');
+    
+    return LINK_KINDS.find(kind =>
+      kind.hosts.some(pattern => typeof pattern === 'string' ? host === pattern : pattern.test(host)) &&
+      kind.label(url) !== null
+    ) || null;
+  }
+
+  /**
+   * Non-empty, decoded path segments of a URL
+   */
+  function getPathSegments(url) {
+    return url.pathname.split('/').filter(Boolean).map(segment => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+  }
+
+  /**
+   * "owner/repo/README.md" of a file or wiki page on a forge, or the file
+   * name of an attachment
+   */
+  function getForgeFileLabel(url) {
+    const segments = getPathSegments(url);
+    const blob = segments.indexOf('blob');
+    
+    // GitHub serves uploaded files from a pseudo owner
+    if (segments[0] === 'user-attachments' && segments.length > 2) return segments[segments.length - 1];
+    if (segments[2] === 'wiki') return `${segments.slice(0, 2).join('/')} wiki`;
+    if (blob === -1 || blob + 2 >= segments.length) return null;
+    
+    return `${segments.slice(0, 2).join('/')}/${segments[segments.length - 1]}`;
+  }
+
+  /**
+   * "owner/repo" of a forge URL, with "#12" for an issue or pull request
+   */
+  function getRepositoryLabel(url) {
+    const segments = getPathSegments(url);
+    const number = /\/(?:issues|pull|pulls|merge_requests)\/(\d+)/.exec(url.pathname);
+    
+    if (segments.length === 0) return null;
+    
+    return `${segments.slice(0, 2).join('/')}${number ? `#${number[1]}` : ''}`;
+  }
+
+  /**
+   * "~channel" of a Mattermost link (or the team when no channel is given)
+   */
+  function getChannelLabel(url) {
+    const segments = getPathSegments(url);
+    const channel = segments.indexOf('channels');
+    
+    if (channel !== -1 && segments[channel + 1]) return `~${segments[channel + 1]}`;
+    return segments[0] || url.hostname;
+  }
+
+  /**
+   * Invite of a Discord link ("discord.gg/abc"), or just "Discord"
+   */
+  function getDiscordLabel(url) {
+    const segments = getPathSegments(url);
+    
+    if (url.hostname.endsWith('discord.gg') && segments[0]) return `discord.gg/${segments[0]}`;
+    if (segments[0] === 'invite' && segments[1]) return `discord.gg/${segments[1]}`;
+    return 'Discord';
+  }
+
+  /**
+   * "OpenNeuro ds000001" of a dataset page or DOI
+   */
+  function getOpenNeuroLabel(url) {
+    const dataset = /\b(ds\d{6})\b/i.exec(url.pathname);
+    
+    if (url.hostname === 'doi.org' && !/^\/10\.18112\/openneuro\./i.test(url.pathname)) return null;
+    return dataset ? `OpenNeuro ${dataset[1].toLowerCase()}` : 'OpenNeuro';
+  }
+
+  /**
+   * "Zenodo 123" of a record, or the DOI of a Zenodo DOI link
+   */
+  function getZenodoLabel(url) {
+    if (url.hostname === 'doi.org') {
+      const doi = getPathSegments(url).join('/');
+      return /^10\.5281\/zenodo\.\d+$/i.test(doi) ? `doi:${doi}` : null;
+    }
+    
+    const record = /\/(?:records?|doi\/10\.5281\/zenodo\.)\/?(\d+)/.exec(url.pathname);
+    return record ? `Zenodo ${record[1]}` : 'Zenodo';
+  }
+
+  /**
+   * "osf.io/abcde" of an OSF project, component or file
+   */
+  function getOsfLabel(url) {
+    const segments = getPathSegments(url);
+    return segments[0] ? `osf.io/${segments[0]}` : 'OSF';
+  }
+
+  /**
+   * "HackMD @team/note" for a published note, "HackMD" for a note id
+   */
+  function getHackmdLabel(url) {
+    const segments = getPathSegments(url);
+    return segments[0] && segments[0].startsWith('@') ? `HackMD ${segments.slice(0, 2).join('/')}` : 'HackMD';
+  }
+
+  /**
+   * Name of the Google editor (Docs, Sheets...) or "Google Drive"
+   */
+  function getGoogleLabel(url) {
+    const segments = getPathSegments(url);
+    
+    if (url.hostname === 'drive.google.com') return 'Google Drive';
+    return GOOGLE_EDITORS[segments[0]] || null;
+  }
+
+  /**
+   * "owner.github.io/project" of a GitHub Pages site
+   */
+  function getPagesLabel(url) {
+    const segments = getPathSegments(url);
+    return segments[0] ? `${url.hostname}/${segments[0]}` : url.hostname;
+  }
+
+  /**
+   * Buttons for the repository, communication and onboarding links, grouped
+   * by kind (code, chat, docs, data) with an icon for each service
+   */
+  function createLinkButtons(project) {
+    const seen = new Set();
+    const grouped = new Map(LINK_GROUPS.map(group => [group.key, []]));
+    
+    LINK_GROUPS.filter(group => group.field).forEach(group => {
+      extractUrls(project[group.field], seen).forEach(link => {
+        grouped.get(link.kind && link.kind.group ? link.kind.group : group.key).push(link);
+      });
+    });
+    
+    return LINK_GROUPS.filter(group => grouped.get(group.key).length > 0).map(group => `
+      <div class="detail-link-group" role="group" aria-label="${t(`projects.links.${group.key}`)}">
+        <span class="detail-link-group-label" aria-hidden="true">${t(`projects.links.${group.key}`)}</span>
+        ${grouped.get(group.key).map(link => `
+          <a href="${escapeHtml(link.url)}" 
+             target="_blank" 
+             rel="noopener"
+             class="btn ${group.button} btn-block mb-2"
+             data-link-kind="${link.kind ? link.kind.key : group.key}">
+            <i class="${link.kind ? link.kind.icon : group.icon}" aria-hidden="true"></i> ${escapeHtml(link.label)}
+          </a>
+        `).join('')}
+      </div>
+    `).join('');
   }
 
   /**
-   * Extract multiple URLs from a text field
-   * Handles: space-separated, markdown links, or plain URLs
+   * Create the (still empty) card column and details panel of a project
+   * Their content is built later: the card by buildCard(), a few at a time,
+   * and the details by buildDetails() the first time they are opened.
    */
-  function extractUrls(text) {
-    if (!hasContent(text)) return [];
-    
-    const urls = [];
-    
-    // Pattern 1: Markdown links [text](url)
-    const markdownPattern = /\[([^\]]+)\]\(([^)]+)\)/g;
-    let match;
-    while ((match = markdownPattern.exec(text)) !== null) {
-      urls.push({
-        label: match[1].trim(),
-        url: match[2].trim()
-      });
+  function createProjectCard(project, index) {
+    // Create column wrapper for compact view (hidden until built)
+    const col = document.createElement('div');
+    col.className = 'col-lg-4 col-md-6 mb-4 project-card-column project-card-pending';
+    if (!prefersReducedMotion()) {
+      col.setAttribute('data-aos', 'fade-up');
+      col.setAttribute('data-aos-delay', (index % 3) * 100);
     }
     
-    // If we found markdown links, use those
-    if (urls.length > 0) return urls;
+    // Generate unique ID
+    const cardId = `project-${project.id || index}`;
+    const detailsId = `details-${cardId}`;
     
-    // Pattern 2: Plain URLs (http/https)
-    const urlPattern = /(https?:\/\/[^\s]+)/g;
-    const matches = text.match(urlPattern);
+    // Create full-width details section
+    const detailsRow = document.createElement('div');
+    detailsRow.className = 'col-12 project-details-fullwidth';
+    detailsRow.id = detailsId;
+    detailsRow.style.display = 'none';
+    detailsRow.setAttribute('data-card-id', cardId);
     
-    if (matches) {
-      matches.forEach((url, index) => {
-        urls.push({
-          label: `Repository ${urls.length > 0 ? index + 1 : ''}`.trim(),
-          url: url.trim()
-        });
-      });
-    }
+    // Disclosure panel: named by the project title, focused when opened
+    detailsRow.setAttribute('role', 'region');
+    detailsRow.setAttribute('aria-labelledby', `${detailsId}-title`);
+    detailsRow.setAttribute('tabindex', '-1');
     
-    return urls;
+    return {
+      id: cardId,
+      column: col,
+      details: detailsRow
+    };
   }
 
   /**
-   * Create a project card element with full-width dropdown
+   * Fill a card column (once) and show it
    */
-  function createProjectCard(project, index) {
-    // Create column wrapper for compact view
-    const col = document.createElement('div');
-    col.className = 'col-lg-4 col-md-6 mb-4 project-card-column';
-    col.setAttribute('data-aos', 'fade-up');
-    col.setAttribute('data-aos-delay', (index % 3) * 100);
+  function buildCard(card) {
+    if (card.built) return;
+    card.built = true;
     
-    // Generate unique ID
-    const cardId = `project-${project.id || index}`;
-    const detailsId = `details-${cardId}`;
+    const project = card.project;
+    const cardId = card.id;
+    const detailsId = card.details.id;
     
-    // Create compact card
-    col.innerHTML = `
+    card.column.innerHTML = `
       <div class="project-card-2026" data-card-id="${cardId}">
         <div class="project-preview">
           <div class="project-image-wrapper">
             <img src="${getProjectImage(project)}" 
                  alt="${escapeHtml(project.title)}" 
                  class="project-image"
-                 onerror="this.src='${DEFAULT_IMAGE}'">
+                 width="${IMAGE_WIDTH}"
+                 height="${IMAGE_HEIGHT}"
+                 loading="lazy"
+                 decoding="async"
+                 onerror="this.onerror=null; this.src='${DEFAULT_IMAGE}'">
+            ${createUpdateBadge(project)}
+            ${String(project.year) !== CURRENT_YEAR ? `
+              <span class="project-badge project-badge-year">${escapeHtml(String(project.year))}</span>
+            ` : ''}
+            <button type="button"
+                    class="btn-project-star"
+                    data-card-id="${cardId}"
+                    aria-pressed="false">
+              <i class="icofont-star" aria-hidden="true"></i>
+            </button>
           </div>
           
           <div class="project-header">
@@ -162,43 +1672,57 @@
             ${hasContent(project.leaders) ? `
               <p class="project-leaders">
                 <i class="icofont-user-alt-3"></i> 
-                <strong>Leaders:</strong> ${escapeHtml(project.leaders)}
+                <strong>${t('projects.leaders')}:</strong> ${escapeHtml(project.leaders)}
               </p>
             ` : ''}
             
             ${hasContent(project.collaborators) ? `
               <p class="project-collaborators">
                 <i class="icofont-users-alt-4"></i> 
-                <strong>Collaborators:</strong> ${escapeHtml(project.collaborators)}
+                <strong>${t('projects.collaborators')}:</strong> ${escapeHtml(project.collaborators)}
               </p>
             ` : ''}
           </div>
         </div>
         
         <div class="project-actions">
-          <button class="btn-project-toggle" 
+          <button type="button"
+                  class="btn-project-toggle" 
                   data-details-id="${detailsId}"
-                  data-card-id="${cardId}">
+                  data-card-id="${cardId}"
+                  aria-expanded="false"
+                  aria-controls="${detailsId}">
             <span class="toggle-text">
-              <i class="icofont-rounded-down"></i> Show Details
+              <i class="icofont-rounded-down" aria-hidden="true"></i>
+              <span class="toggle-label">${t('projects.showDetails')}</span>
             </span>
           </button>
         </div>
       </div>
     `;
     
-    // Parse repository URLs
-    const repositoryUrls = extractUrls(project.repository);
-    const communicationUrls = extractUrls(project.communication);
+    card.column.querySelector('.btn-project-toggle').addEventListener('click', function() {
+      toggleDetails(card);
+    });
     
-    // Create full-width details section
-    const detailsRow = document.createElement('div');
-    detailsRow.className = 'col-12 project-details-fullwidth';
-    detailsRow.id = detailsId;
-    detailsRow.style.display = 'none';
-    detailsRow.setAttribute('data-card-id', cardId);
+    card.column.classList.remove('project-card-pending');
+    updateStar(card);
+    if (state.searchTerms.length > 0 && matchesFilters(card)) highlightCard(card, state.searchTerms);
+  }
+
+  /**
+   * Fill a details panel the first time it is needed (markdown, metadata
+   * and links are the costly part of a project)
+   */
+  function buildDetails(card) {
+    if (card.detailsBuilt) return;
+    card.detailsBuilt = true;
+    
+    const project = card.project;
+    const cardId = card.id;
+    const detailsId = card.details.id;
     
-    detailsRow.innerHTML = `
+    card.details.innerHTML = `
       <div class="project-details-content-fullwidth">
         <div class="row">
           
@@ -208,14 +1732,18 @@
               <img src="${getProjectImage(project)}" 
                    alt="${escapeHtml(project.title)}" 
                    class="img-fluid"
-                   onerror="this.src='${DEFAULT_IMAGE}'">
+                   width="${IMAGE_WIDTH}"
+                   height="${IMAGE_HEIGHT}"
+                   loading="lazy"
+                   decoding="async"
+                   onerror="this.onerror=null; this.src='${DEFAULT_IMAGE}'">
               
-              <h3 class="mt-3">${escapeHtml(project.title)}</h3>
+              <h3 class="mt-3" id="${detailsId}-title">${escapeHtml(project.title)}</h3>
               
               ${hasContent(project.leaders) ? `
                 <p class="detail-meta">
                   <i class="icofont-user-alt-3"></i> 
-                  <strong>Leaders:</strong><br>
+                  <strong>${t('projects.leaders')}:</strong><br>
                   ${escapeHtml(project.leaders)}
                 </p>
               ` : ''}
@@ -223,7 +1751,7 @@
               ${hasContent(project.collaborators) ? `
                 <p class="detail-meta">
                   <i class="icofont-users-alt-4"></i> 
-                  <strong>Collaborators:</strong><br>
+                  <strong>${t('projects.collaborators')}:</strong><br>
                   ${escapeHtml(project.collaborators)}
                 </p>
               ` : ''}
@@ -231,7 +1759,7 @@
               ${hasContent(project.num_collaborators) ? `
                 <p class="detail-meta">
                   <i class="icofont-users"></i> 
-                  <strong>Number of Collaborators:</strong><br>
+                  <strong>${t('projects.numCollaborators')}:</strong><br>
                   ${escapeHtml(project.num_collaborators)}
                 </p>
               ` : ''}
@@ -239,43 +1767,28 @@
               ${createMetadataList(project)}
               
               <div class="detail-links mt-3">
-                <!-- GitHub Issue (always present) -->
-                <a href="${escapeHtml(project.issue_url)}" 
-                   target="_blank" 
-                   rel="noopener"
-                   class="btn btn-primary btn-block mb-2">
-                  <i class="icofont-github"></i> View on GitHub
-                </a>
-                
-                <!-- Repository Links -->
-                ${repositoryUrls.map((repo, idx) => `
-                  <a href="${escapeHtml(repo.url)}" 
+                <!-- GitHub Issue (submitted projects) -->
+                ${hasContent(project.issue_url) ? `
+                  <a href="${escapeHtml(project.issue_url)}" 
                      target="_blank" 
                      rel="noopener"
-                     class="btn btn-secondary btn-block mb-2">
-                    <i class="icofont-code-alt"></i> ${escapeHtml(repo.label)}
+                     class="btn btn-primary btn-block mb-2">
+                    <i class="icofont-github"></i> ${t('projects.viewOnGithub')}
                   </a>
-                `).join('')}
+                ` : ''}
                 
-                <!-- Communication Links -->
-                ${communicationUrls.map((comm, idx) => `
-                  <a href="${escapeHtml(comm.url)}" 
+                <!-- Original edition page (archived projects) -->
+                ${hasContent(project.page_url) ? `
+                  <a href="${escapeHtml(project.page_url)}" 
                      target="_blank" 
                      rel="noopener"
-                     class="btn btn-info btn-block mb-2">
-                    <i class="icofont-speech-comments"></i> ${escapeHtml(comm.label)}
+                     class="btn btn-primary btn-block mb-2">
+                    <i class="icofont-history"></i> ${escapeHtml(t('projects.viewOnPage', { year: project.year }))}
                   </a>
-                `).join('')}
+                ` : ''}
                 
-                <!-- Onboarding Documentation -->
-                ${hasContent(project.onboarding) ? extractUrls(project.onboarding).map((doc, idx) => `
-                  <a href="${escapeHtml(doc.url)}" 
-                     target="_blank" 
-                     rel="noopener"
-                     class="btn btn-success btn-block mb-2">
-                    <i class="icofont-book-alt"></i> ${escapeHtml(doc.label)}
-                  </a>
-                `).join('') : ''}
+                <!-- Repository, communication and onboarding links, by kind -->
+                ${createLinkButtons(project)}
               </div>
             </div>
           </div>
@@ -286,14 +1799,14 @@
               
               ${hasContent(project.description) ? `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-info-circle"></i> Description</h5>
+                  <h5><i class="icofont-info-circle"></i> ${t('projects.description')}</h5>
                   <div class="detail-content">${formatMarkdown(project.description)}</div>
                 </div>
               ` : ''}
               
               ${hasContent(project.goals) ? `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-bullseye"></i> Goals for BrainHack Marseille 2026</h5>
+                  <h5><i class="icofont-bullseye"></i> ${escapeHtml(t('projects.goals', { year: project.year }))}</h5>
                   <div class="detail-content">${formatMarkdown(project.goals)}</div>
                 </div>
               ` : ''}
@@ -302,7 +1815,7 @@
                 ${hasContent(project.skills) ? `
                   <div class="col-md-6">
                     <div class="detail-section-fullwidth">
-                      <h5><i class="icofont-tools-alt-2"></i> Skills Needed</h5>
+                      <h5><i class="icofont-tools-alt-2"></i> ${t('projects.skills')}</h5>
                       <div class="detail-content">${formatMarkdown(project.skills)}</div>
                     </div>
                   </div>
@@ -311,7 +1824,7 @@
                 ${hasContent(project.learning) ? `
                   <div class="col-md-6">
                     <div class="detail-section-fullwidth">
-                      <h5><i class="icofont-graduate"></i> What You'll Learn</h5>
+                      <h5><i class="icofont-graduate"></i> ${t('projects.learning')}</h5>
                       <div class="detail-content">${formatMarkdown(project.learning)}</div>
                     </div>
                   </div>
@@ -320,39 +1833,42 @@
               
               ${hasContent(project.good_first_issues) ? `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-flag-alt-1"></i> Good First Issues</h5>
+                  <h5><i class="icofont-flag-alt-1"></i> ${t('projects.goodFirstIssues')}</h5>
                   <div class="detail-content">${formatMarkdown(project.good_first_issues)}</div>
                 </div>
               ` : ''}
               
               ${hasContent(project.data) ? `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-database"></i> Data to Use</h5>
+                  <h5><i class="icofont-database"></i> ${t('projects.data')}</h5>
                   <div class="detail-content">${formatMarkdown(project.data)}</div>
+                  ${window.BHM && window.BHM.datasets ? window.BHM.datasets.createCards(project.data) : ''}
                 </div>
               ` : ''}
               
               ${hasContent(project.type) ? `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-tag"></i> Project Type</h5>
+                  <h5><i class="icofont-tag"></i> ${t('projects.type')}</h5>
                   <div class="detail-content">${formatMarkdown(project.type)}</div>
                 </div>
               ` : `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-tag"></i> Project Type</h5>
-                  <div class="detail-content"><p>Not specified</p></div>
+                  <h5><i class="icofont-tag"></i> ${t('projects.type')}</h5>
+                  <div class="detail-content"><p>${t('projects.notSpecified')}</p></div>
                 </div>
               `}
               
               ${hasContent(project.development_status) ? `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-chart-growth"></i> Development Status</h5>
-                  <div class="detail-content">${formatMarkdown(project.development_status)}</div>
+                  <h5><i class="icofont-chart-growth"></i> ${t('projects.status')}</h5>
+                  <div class="detail-content">${project.stage
+                    ? `<p>${escapeHtml(project.stage.label)}</p>`
+                    : formatMarkdown(project.development_status)}</div>
                 </div>
               ` : `
                 <div class="detail-section-fullwidth">
-                  <h5><i class="icofont-chart-growth"></i> Development Status</h5>
-                  <div class="detail-content"><p>Not specified</p></div>
+                  <h5><i class="icofont-chart-growth"></i> ${t('projects.status')}</h5>
+                  <div class="detail-content"><p>${t('projects.notSpecified')}</p></div>
                 </div>
               `}
               
@@ -363,70 +1879,115 @@
         
         <!-- Close Button -->
         <div class="text-center mt-4">
-          <button class="btn-close-details" 
+          <button type="button"
+                  class="btn-close-details" 
                   data-details-id="${detailsId}"
-                  data-card-id="${cardId}">
-            <i class="icofont-close-line"></i> Close Details
+                  data-card-id="${cardId}"
+                  aria-controls="${detailsId}">
+            <i class="icofont-close-line" aria-hidden="true"></i> ${t('projects.closeDetails')}
           </button>
         </div>
       </div>
     `;
     
-    // Add event listeners
-    const toggleBtn = col.querySelector('.btn-project-toggle');
-    const closeBtn = detailsRow.querySelector('.btn-close-details');
-    
-    toggleBtn.addEventListener('click', function() {
-      toggleDetails(detailsId, cardId);
+    card.details.querySelector('.btn-close-details').addEventListener('click', function() {
+      toggleDetails(card);
     });
     
-    closeBtn.addEventListener('click', function() {
-      toggleDetails(detailsId, cardId);
-    });
+    if (state.searchTerms.length > 0 && matchesFilters(card)) highlightCard(card, state.searchTerms);
+  }
+
+  /**
+   * Order the cards still to build: visible ones first, in grid order
+   */
+  function queuePendingCards() {
+    const container = document.getElementById(CONTAINER_ID);
+    if (!container) return;
     
-    return {
-      column: col,
-      details: detailsRow
-    };
+    const byColumn = new Map(state.cards.map(card => [card.column, card]));
+    const pending = [...container.querySelectorAll('.project-card-pending')].map(column => byColumn.get(column));
+    
+    state.buildQueue = pending
+      .filter(card => !card.column.classList.contains('project-filtered-out'))
+      .concat(pending.filter(card => card.column.classList.contains('project-filtered-out')));
+    scheduleBuild();
+  }
+
+  /**
+   * Ask for the next idle period to build more cards
+   */
+  function scheduleBuild() {
+    if (state.buildScheduled || state.buildQueue.length === 0) return;
+    
+    state.buildScheduled = true;
+    if (window.requestIdleCallback) {
+      window.requestIdleCallback(buildQueuedCards, { timeout: IDLE_TIMEOUT_MS });
+    } else {
+      setTimeout(() => buildQueuedCards({ didTimeout: true, timeRemaining: () => IDLE_FALLBACK_MS }), 1);
+    }
+  }
+
+  /**
+   * Build a chunk of queued cards, within the idle time the browser gives
+   * (at least one card, so a busy page still makes progress)
+   */
+  function buildQueuedCards(deadline) {
+    state.buildScheduled = false;
+    let built = 0;
+    
+    while (state.buildQueue.length > 0 && built < CHUNK_SIZE && (built === 0 || deadline.timeRemaining() > 1)) {
+      buildCard(state.buildQueue.shift());
+      built++;
+    }
+    
+    // New cards may join the row of the open project
+    placeOpenDetails();
+    
+    if (state.buildQueue.length === 0) {
+      console.log(`✅ Built ${state.cards.length} project card(s)`);
+    }
+    scheduleBuild();
   }
 
   /**
-   * Toggle project details visibility
+   * Toggle project details visibility (from the buttons or the keyboard)
+   * Focus moves into the opened panel, and back to the card's button on close.
+   * The elements come from the grid entry, not from document queries: the
+   * print booklet holds copies of the details panels.
    */
-  function toggleDetails(detailsId, cardId) {
-    const detailsElement = document.getElementById(detailsId);
-    const cardColumn = document.querySelector(`[data-card-id="${cardId}"]`).closest('.project-card-column');
-    const toggleBtn = document.querySelector(`.btn-project-toggle[data-details-id="${detailsId}"]`);
+  function toggleDetails(card) {
+    const detailsElement = card.details;
+    const cardColumn = card.column;
+    const toggleBtn = cardColumn.querySelector('.btn-project-toggle');
     const isVisible = detailsElement.style.display !== 'none';
     
     if (isVisible) {
       // Close this one
       closeDetails(detailsElement, cardColumn, toggleBtn);
+      toggleBtn.focus();
     } else {
       // Close all others first
       closeAllDetails();
       
       // Open this one
       openDetails(detailsElement, cardColumn, toggleBtn);
+      detailsElement.focus({ preventScroll: true });
     }
+    
+    // Make the open project shareable and reachable with back/forward
+    writeUrlState(true);
   }
 
   /**
    * Open project details
    */
   function openDetails(detailsElement, cardColumn, toggleBtn) {
-    // Show details
-    detailsElement.style.display = 'block';
+    buildDetails(state.cards.find(card => card.details === detailsElement));
+    setToggleExpanded(toggleBtn, true);
     
-    // Update button
-    toggleBtn.classList.add('expanded');
-    const icon = toggleBtn.querySelector('i');
-    const text = toggleBtn.querySelector('.toggle-text');
-    icon.className = 'icofont-rounded-up';
-    text.innerHTML = '<i class="icofont-rounded-up"></i> Hide Details';
-    
-    // Expand column to full width
-    cardColumn.classList.add('fullwidth-active');
+    // Highlight the card, then show details below its row
+    cardColumn.classList.add('details-open');
+    placeDetails(detailsElement, cardColumn);
     
     // Scroll to details
     setTimeout(() => {
@@ -436,7 +1997,7 @@
       
       window.scrollTo({
         top: offsetPosition,
-        behavior: 'smooth'
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth'
       });
     }, 100);
   }
@@ -447,34 +2008,152 @@
   function closeDetails(detailsElement, cardColumn, toggleBtn) {
     // Hide details
     detailsElement.style.display = 'none';
+    setToggleExpanded(toggleBtn, false);
+    
+    // Back next to its card, where the sort and print layouts expect it
+    cardColumn.classList.remove('details-open');
+    cardColumn.after(detailsElement);
+  }
+
+  /**
+   * Show the state of a card's details button
+   */
+  function setToggleExpanded(toggleBtn, expanded) {
+    toggleBtn.classList.toggle('expanded', expanded);
+    toggleBtn.setAttribute('aria-expanded', String(expanded));
+    toggleBtn.querySelector('i').className = expanded ? 'icofont-rounded-up' : 'icofont-rounded-down';
+    toggleBtn.querySelector('.toggle-label').textContent = t(expanded ? 'projects.hideDetails' : 'projects.showDetails');
+  }
+
+  /**
+   * Show a details panel after the last card of the visual row its card sits
+   * in (so the row is not split), with the caret under the card. The number
+   * of cards per row is read from the layout, so this works for 1, 2 or 3
+   * columns.
+   */
+  function placeDetails(detailsElement, cardColumn) {
+    const container = document.getElementById(CONTAINER_ID);
+    const columns = [...container.querySelectorAll(
+      '.project-card-column:not(.project-filtered-out):not(.project-card-pending)'
+    )];
+    const perRow = cardColumn.offsetWidth > 0
+      ? Math.max(1, Math.round(container.clientWidth / cardColumn.offsetWidth))
+      : 1;
+    const rowStart = Math.floor(columns.indexOf(cardColumn) / perRow) * perRow;
+    const rowEnd = columns[Math.min(rowStart + perRow, columns.length) - 1];
+    
+    if (rowEnd.nextElementSibling !== detailsElement) {
+      // Moving the panel drops the focus it may hold
+      const focused = detailsElement.contains(document.activeElement) ? document.activeElement : null;
+      rowEnd.after(detailsElement);
+      if (focused) focused.focus({ preventScroll: true });
+    }
+    detailsElement.style.display = 'block';
     
-    // Update button
-    toggleBtn.classList.remove('expanded');
-    const icon = toggleBtn.querySelector('i');
-    const text = toggleBtn.querySelector('.toggle-text');
-    icon.className = 'icofont-rounded-down';
-    text.innerHTML = '<i class="icofont-rounded-down"></i> Show Details';
+    const card = cardColumn.querySelector('.project-card-2026').getBoundingClientRect();
+    const panel = detailsElement.getBoundingClientRect();
+    const caret = card.left + card.width / 2 - panel.left - detailsElement.clientLeft;
+    detailsElement.style.setProperty('--caret-left', `${Math.round(caret)}px`);
+  }
+
+  /**
+   * Card whose details are open, if any
+   */
+  function getOpenCard() {
+    return state.cards.find(card => card.details.style.display !== 'none') || null;
+  }
+
+  /**
+   * Place the open panel again after the rows changed
+   */
+  function placeOpenDetails() {
+    const card = getOpenCard();
+    if (card) placeDetails(card.details, card.column);
+  }
+
+  let resizeFrame = null;
+
+  /**
+   * Place the open panel again when the column count may have changed
+   * (window resize, breakpoint change, rotation)
+   */
+  function onResize() {
+    if (resizeFrame) return;
     
-    // Return column to normal width
-    cardColumn.classList.remove('fullwidth-active');
+    resizeFrame = requestAnimationFrame(() => {
+      resizeFrame = null;
+      placeOpenDetails();
+    });
   }
 
   /**
    * Close all open project details
    */
   function closeAllDetails() {
-    const allDetails = document.querySelectorAll('.project-details-fullwidth');
-    allDetails.forEach(detail => {
-      if (detail.style.display !== 'none') {
-        const cardId = detail.getAttribute('data-card-id');
-        const cardColumn = document.querySelector(`[data-card-id="${cardId}"]`).closest('.project-card-column');
-        const toggleBtn = document.querySelector(`.btn-project-toggle[data-card-id="${cardId}"]`);
-        
-        closeDetails(detail, cardColumn, toggleBtn);
+    state.cards.forEach(card => {
+      if (card.details.style.display !== 'none') {
+        closeDetails(card.details, card.column, card.column.querySelector('.btn-project-toggle'));
       }
     });
   }
 
+  /**
+   * Keyboard support in the grid: Escape closes the open project; arrow keys,
+   * Home and End move between the buttons of the visible cards
+   */
+  function onGridKeydown(event) {
+    if (event.key === 'Escape') {
+      const card = state.cards.find(item =>
+        item.details.style.display !== 'none' &&
+        (item.details.contains(event.target) || item.column.contains(event.target)));
+      
+      if (card) {
+        event.preventDefault();
+        toggleDetails(card);
+      }
+      return;
+    }
+    
+    const toggle = event.target.closest('.btn-project-toggle');
+    if (!toggle) return;
+    
+    // The DOM follows the sort order, so this is also the visual order
+    const toggles = [...document.querySelectorAll(
+      `#${CONTAINER_ID} .project-card-column:not(.project-filtered-out) .btn-project-toggle`
+    )];
+    const index = toggles.indexOf(toggle);
+    let target;
+    
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+        target = toggles[index + 1];
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        target = toggles[index - 1];
+        break;
+      case 'Home':
+        target = toggles[0];
+        break;
+      case 'End':
+        target = toggles[toggles.length - 1];
+        break;
+      default:
+        return;
+    }
+    
+    event.preventDefault();
+    if (target) target.focus();
+  }
+
+  /**
+   * Check whether the visitor asked for reduced motion
+   */
+  function prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
   /**
    * Get project image with fallback
    */
@@ -483,9 +2162,59 @@
     if (hasContent(project.image) && project.image.startsWith('http')) {
       return escapeHtml(project.image);
     }
+    // Archived editions use paths relative to the site (BHM_2024/images/...)
+    if (hasContent(project.image) && /^[\w\-.\/]+$/.test(project.image) && !project.image.startsWith('//')) {
+      return escapeHtml(project.image);
+    }
     return DEFAULT_IMAGE;
   }
 
+  /**
+   * Git skill levels as text: the validated labels, "Not applicable", or the
+   * raw answer when schema.js is not loaded ('' when not answered)
+   */
+  function getGitSkills(project) {
+    if (project.git_skill_levels && project.git_skill_levels.length > 0) {
+      return project.git_skill_levels.map(skill => skill.label).join(', ');
+    }
+    if (hasContent(project.git_skills)) {
+      // Only "4_not_applicable" (or unknown options) once validated
+      return project.git_skill_levels ? t('projects.notApplicable') : project.git_skills;
+    }
+    return '';
+  }
+
+  /**
+   * Development status label ('' when not answered)
+   */
+  function getStatusLabel(project) {
+    if (project.stage) return project.stage.label;
+    return hasContent(project.development_status) ? project.development_status : '';
+  }
+
+  /**
+   * Readable list from a dropdown answer ("python, matlab_octave")
+   */
+  function formatList(value) {
+    return hasContent(value) ? value.replace(/_/g, ' ').replace(/`/g, '') : '';
+  }
+
+  /**
+   * Links found in a text field, or the escaped text when it has none
+   * Plain URLs are labelled after their kind or site (e.g. "~bhg24-marseille").
+   */
+  function formatLinks(text) {
+    const links = extractUrls(text);
+    
+    if (links.length === 0) {
+      return hasContent(text) ? escapeHtml(text) : '';
+    }
+    
+    return links.map(link =>
+      `<a href="${escapeHtml(link.url)}" target="_blank" rel="noopener">${escapeHtml(link.label)}</a>`
+    ).join('<br>');
+  }
+
   /**
    * Create metadata list (replacing badges)
    */
@@ -493,32 +2222,24 @@
     const metadata = [];
     
     // Git Skills
-    if (hasContent(project.git_skills)) {
-      metadata.push({
-        icon: 'icofont-git',
-        label: 'Git Skills',
-        value: project.git_skills
-      });
-    } else {
-      metadata.push({
-        icon: 'icofont-git',
-        label: 'Git Skills',
-        value: 'Not specified'
-      });
-    }
+    metadata.push({
+      icon: 'icofont-git',
+      label: t('projects.gitSkills'),
+      value: getGitSkills(project) || t('projects.notSpecified')
+    });
     
     // Programming Languages
     if (hasContent(project.programming_languages)) {
       metadata.push({
         icon: 'icofont-code',
-        label: 'Programming Languages',
+        label: t('projects.programmingLanguages'),
         value: project.programming_languages.replace(/_/g, ' ').replace(/`/g, '')
       });
     } else {
       metadata.push({
         icon: 'icofont-code',
-        label: 'Programming Languages',
-        value: 'Not specified'
+        label: t('projects.programmingLanguages'),
+        value: t('projects.notSpecified')
       });
     }
     
@@ -526,14 +2247,14 @@
     if (hasContent(project.tools)) {
       metadata.push({
         icon: 'icofont-wrench',
-        label: 'Tools',
+        label: t('projects.tools'),
         value: project.tools.replace(/_/g, ' ')
       });
     } else {
       metadata.push({
         icon: 'icofont-wrench',
-        label: 'Tools',
-        value: 'Not specified'
+        label: t('projects.tools'),
+        value: t('projects.notSpecified')
       });
     }
     
@@ -541,14 +2262,14 @@
     if (hasContent(project.modalities)) {
       metadata.push({
         icon: 'icofont-brain-alt',
-        label: 'Modalities',
+        label: t('projects.modalities'),
         value: project.modalities.replace(/_/g, ' ')
       });
     } else {
       metadata.push({
         icon: 'icofont-brain-alt',
-        label: 'Modalities',
-        value: 'Not specified'
+        label: t('projects.modalities'),
+        value: t('projects.notSpecified')
       });
     }
     
@@ -556,7 +2277,7 @@
     if (hasContent(project.topics)) {
       metadata.push({
         icon: 'icofont-tag',
-        label: 'Topics',
+        label: t('projects.topics'),
         value: project.topics.replace(/_/g, ' ')
       });
     }
@@ -579,70 +2300,283 @@
   }
 
   /**
-   * Format markdown text to HTML (simple conversion)
-   * Handles markdown, images, and safe HTML
+   * Format markdown text to HTML
+   * Uses the GitHub-flavoured renderer and sanitizer from markdown.js; issue
+   * headings are shifted down so they sit below the section titles (h5).
    */
   function formatMarkdown(text) {
     if (!hasContent(text)) return '';
     
-    // First, protect existing HTML img tags from being escaped
-    const imgPlaceholders = [];
-    let processedText = text.replace(/<img[^>]+>/gi, function(match) {
-      const placeholder = `___IMG_PLACEHOLDER_${imgPlaceholders.length}___`;
-      imgPlaceholders.push(match);
-      return placeholder;
-    });
+    if (window.BHM && window.BHM.markdown) {
+      return window.BHM.markdown.render(text, { headingOffset: 3 });
+    }
     
-    // Escape other HTML (for XSS protection)
-    processedText = escapeHtml(processedText);
+    // Fallback without the renderer: plain escaped text
+    return `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+  }
+
+  /**
+   * Poll the current edition while its projects can still change
+   * (no data-refresh-until on the container: the grid stays as loaded)
+   */
+  function startLiveRefresh() {
+    const container = document.getElementById(CONTAINER_ID);
+    const until = container ? Date.parse(container.getAttribute('data-refresh-until')) : NaN;
+    if (isNaN(until) || Date.now() >= until) return;
     
-    // Restore img tags (they're safe from GitHub)
-    imgPlaceholders.forEach((img, index) => {
-      const placeholder = `___IMG_PLACEHOLDER_${index}___`;
-      processedText = processedText.replace(placeholder, img);
-    });
+    state.refreshUntil = until;
+    state.lastRefresh = Date.now();
+    document.addEventListener('visibilitychange', scheduleRefresh);
+    scheduleRefresh();
+  }
+
+  /**
+   * Plan the next poll; none while the page is hidden (it is caught up as
+   * soon as the page is visible again) or once the refresh period is over
+   */
+  function scheduleRefresh() {
+    clearTimeout(state.refreshTimer);
+    state.refreshTimer = null;
+    
+    if (Date.now() >= state.refreshUntil) {
+      document.removeEventListener('visibilitychange', scheduleRefresh);
+      return;
+    }
+    if (document.hidden) return;
+    
+    const delay = Math.max(0, state.lastRefresh + REFRESH_INTERVAL_MS - Date.now());
+    state.refreshTimer = setTimeout(refreshProjects, delay);
+  }
+
+  /**
+   * ETag and Last-Modified of a response, for the next conditional request
+   */
+  function getValidators(response) {
+    return {
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified')
+    };
+  }
+
+  /**
+   * Fetch the current edition again (only downloaded when it changed) and
+   * apply the differences to the grid
+   */
+  async function refreshProjects() {
+    const source = DATA_SOURCES.find(item => item.current);
+    const headers = {};
     
-    // Convert markdown bold
-    processedText = processedText.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    processedText = processedText.replace(/__(.+?)__/g, '<strong>$1</strong>');
+    state.lastRefresh = Date.now();
+    if (state.validators.etag) headers['If-None-Match'] = state.validators.etag;
+    if (state.validators.lastModified) headers['If-Modified-Since'] = state.validators.lastModified;
+    
+    try {
+      // Offline: the offline banner already says the data may be old
+      if (navigator.onLine === false) return;
+      
+      // no-store: the conditional headers reach the server, and sw.js lets
+      // the request through instead of answering from its cache
+      const response = await fetch(source.url, { cache: 'no-store', headers: headers });
+      if (response.status === 304) return;
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      state.validators = getValidators(response);
+      applyRefresh(normalizeSource(source, await response.json()));
+    } catch (error) {
+      console.warn('⚠️ Could not refresh projects:', error);
+    } finally {
+      scheduleRefresh();
+    }
+  }
+
+  /**
+   * Update the grid to a new version of the current edition, matching
+   * projects by id: only added, changed and removed cards are touched, so
+   * the open project, filters, search and scroll position stay as they are
+   */
+  function applyRefresh(projects) {
+    const container = document.getElementById(CONTAINER_ID);
+    if (!container || !state.projects) return;
     
-    // Convert markdown italic
-    processedText = processedText.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    processedText = processedText.replace(/_(.+?)_/g, '<em>$1</em>');
+    const current = state.cards.filter(card => card.year === CURRENT_YEAR);
+    const bySlug = new Map(current.map(card => [card.slug, card]));
+    const anchor = getScrollAnchor(container);
+    const facetsBefore = getFacetSignature();
+    const changed = [];
+    let removed = 0;
     
-    // Convert markdown links
-    processedText = processedText.replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+    const cards = projects.map((project, index) => {
+      let card = bySlug.get(String(project.id || index));
+      
+      if (!card) {
+        // The highlight replaces the entrance animation
+        card = createCard(project, index);
+        card.column.removeAttribute('data-aos');
+        container.appendChild(card.column);
+        container.appendChild(card.details);
+        changed.push(card);
+      } else if (JSON.stringify(card.project) !== JSON.stringify(project)) {
+        updateCard(card, project);
+        changed.push(card);
+      }
+      
+      bySlug.delete(card.slug);
+      return card;
+    });
     
-    // Style images to be responsive
-    processedText = processedText.replace(/<img([^>]+)>/gi, function(match, attrs) {
-      // Add responsive styling to images
-      if (!attrs.includes('class=')) {
-        return `<img${attrs} class="img-fluid project-content-image" style="max-width: 100%; height: auto; margin: 15px 0; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">`;
+    // Projects left in the map are no longer in the JSON
+    bySlug.forEach(card => {
+      if (card.details.style.display !== 'none') {
+        closeDetails(card.details, card.column, card.column.querySelector('.btn-project-toggle'));
       }
-      return match;
+      card.column.remove();
+      card.details.remove();
+      removed++;
+    });
+    
+    if (changed.length === 0 && removed === 0) return;
+    
+    // Cards are moved below, which drops the focus
+    const focused = document.activeElement;
+    
+    state.cards = cards.concat(state.cards.filter(card => card.year !== CURRENT_YEAR));
+    state.projects = state.cards.map(card => card.project);
+    state.searchIndex = window.BHM && window.BHM.search
+      ? window.BHM.search.createIndex(state.projects, { id: (project, index) => state.cards[index].id })
+      : null;
+    runSearch(state.query);
+    
+    // New facet values need new chips; otherwise the bar is left alone
+    if (getFacetSignature() !== facetsBefore) {
+      redrawFilterBar(container);
+    } else {
+      applyFilters();
+    }
+    renderShortlist();
+    
+    changed.forEach(card => {
+      buildCard(card);
+      card.column.classList.add('project-card-refreshed');
+      setTimeout(() => card.column.classList.remove('project-card-refreshed'), REFRESH_HIGHLIGHT_MS);
     });
+    placeOpenDetails();
+    restoreScrollAnchor(anchor);
+    if (focused && focused.isConnected && document.activeElement !== focused) {
+      focused.focus({ preventScroll: true });
+    }
+    
+    // The quiz, statistics, dataset index and structured data follow
+    notifyChange();
+    
+    console.log(`🔄 Projects refreshed: ${changed.length} added or changed, ${removed} removed`);
+  }
+
+  /**
+   * Show a new version of a project in its existing card (and open panel)
+   */
+  function updateCard(card, project) {
+    const open = card.details.style.display !== 'none';
+    const focused = card.column.contains(document.activeElement) || card.details.contains(document.activeElement);
     
-    // Convert line breaks
-    processedText = processedText.replace(/\n\n/g, '</p><p>');
-    processedText = processedText.replace(/\n/g, '<br>');
+    card.project = project;
+    card.facets = getProjectFacets(project);
     
-    // Wrap in paragraph if not already
-    if (!processedText.startsWith('<p>') && !processedText.startsWith('<img')) {
-      processedText = '<p>' + processedText + '</p>';
+    if (card.built) {
+      card.built = false;
+      buildCard(card);
+      if (open) setToggleExpanded(card.column.querySelector('.btn-project-toggle'), true);
     }
     
-    return processedText;
+    // Closed panels are built again when next opened
+    if (card.detailsBuilt) {
+      card.detailsBuilt = false;
+      card.details.innerHTML = '';
+      if (open) buildDetails(card);
+    }
+    
+    if (focused) {
+      (open ? card.details : card.column.querySelector('.btn-project-toggle')).focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Values offered by the facet chips, to tell when the bar must be redrawn
+   */
+  function getFacetSignature() {
+    return FACETS.map(facet => {
+      const keys = new Set();
+      state.cards.forEach(card => card.facets[facet.key].forEach((label, key) => keys.add(key)));
+      return [...keys].sort().join(',');
+    }).join('|');
+  }
+
+  /**
+   * Redraw the filter bar without disturbing someone typing in the search box
+   */
+  function redrawFilterBar(container) {
+    const active = document.activeElement;
+    const typing = active && active.classList.contains('filter-search-input')
+      ? { value: active.value, start: active.selectionStart, end: active.selectionEnd }
+      : null;
+    
+    renderFilterBar(container);
+    
+    const input = typing && document.querySelector(`#${FILTERS_ID} .filter-search-input`);
+    if (input) {
+      input.value = typing.value;
+      input.focus();
+      input.setSelectionRange(typing.start, typing.end);
+    }
+  }
+
+  /**
+   * First grid element in view and its position, so that cards added or
+   * removed above it do not move what the visitor is reading
+   */
+  function getScrollAnchor(container) {
+    const element = [...container.children].find(child =>
+      child.offsetParent !== null && child.getBoundingClientRect().bottom > 0
+    );
+    return element ? { element: element, top: element.getBoundingClientRect().top } : null;
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Scroll back so that the anchor is where it was (the browser's own
+   * scroll anchoring may already have done it)
    */
-  function escapeHtml(text) {
-    if (!text) return '';
+  function restoreScrollAnchor(anchor) {
+    if (!anchor || !anchor.element.isConnected) return;
     
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    const shift = anchor.element.getBoundingClientRect().top - anchor.top;
+    if (shift !== 0) window.scrollBy(0, shift);
+  }
+
+  /**
+   * Let the other renderers know about the loaded projects
+   */
+  function notifyChange() {
+    document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { projects: state.projects.slice() } }));
+  }
+
+  /**
+   * Call `callback(projects)` with the normalized projects of every edition
+   * (each with its `year`) as soon as they are loaded, and again after each
+   * refresh of the current edition that changed them
+   */
+  function subscribe(callback) {
+    if (state.projects) callback(state.projects.slice());
+    document.addEventListener(CHANGE_EVENT, event => callback(event.detail.projects));
+  }
+
+  /**
+   * Rebuild the cards and filter bar in the new language; filters, search
+   * and the open project are kept through the URL
+   */
+  function onLanguageChange() {
+    if (state.projects) renderProjects(state.projects);
   }
 
   /**
@@ -653,9 +2587,9 @@
       <div class="col-12">
         <div class="alert alert-info text-center" role="alert" style="background: #f8f9fa; border: 2px dashed #e9c46a; border-radius: 10px; padding: 40px;">
           <i class="icofont-brain-alt" style="font-size: 64px; color: #e76f51; display: block; margin-bottom: 20px;"></i>
-          <h4 style="color: #37517e;">No Projects Submitted Yet</h4>
-          <p style="color: #666;">Projects will appear here once they are submitted and approved.</p>
-          <p style="color: #666; font-style: italic;">Be the first to submit a project!</p>
+          <h4 style="color: #37517e;">${t('projects.emptyTitle')}</h4>
+          <p style="color: #666;">${t('projects.emptyText')}</p>
+          <p style="color: #666; font-style: italic;">${t('projects.emptyCall')}</p>
         </div>
       </div>
     `;
@@ -672,20 +2606,55 @@
       loading.remove();
     }
     
+    // Nothing saved from a previous visit: retry as soon as the network is back
+    if (!navigator.onLine) {
+      window.addEventListener('online', init, { once: true });
+      
+      if (container) {
+        container.innerHTML = `
+          <div class="col-12">
+            <div class="alert alert-warning text-center" role="alert" style="border-radius: 10px; padding: 30px;">
+              <i class="icofont-wifi" style="font-size: 48px; display: block; margin-bottom: 15px;"></i>
+              <h4>${t('projects.offlineTitle')}</h4>
+              <p>${t('projects.offlineText')}</p>
+              <p class="small text-muted">${t('projects.offlineRetry')}</p>
+            </div>
+          </div>
+        `;
+      }
+      return;
+    }
+    
     if (container) {
       container.innerHTML = `
         <div class="col-12">
           <div class="alert alert-danger text-center" role="alert" style="border-radius: 10px; padding: 30px;">
             <i class="icofont-warning" style="font-size: 48px; display: block; margin-bottom: 15px;"></i>
-            <h4>Error Loading Projects</h4>
-            <p>Sorry, we couldn't load the projects. Please try refreshing the page.</p>
-            <p class="small text-muted">If the problem persists, contact the organizers.</p>
+            <h4>${t('projects.errorTitle')}</h4>
+            <p>${t('projects.errorText')}</p>
+            <p class="small text-muted">${t('projects.errorContact')}</p>
           </div>
         </div>
       `;
     }
   }
 
+  window.BHM = window.BHM || {};
+  window.BHM.projects = {
+    sources: DATA_SOURCES,
+    currentYear: CURRENT_YEAR,
+    subscribe: subscribe
+  };
+
+  window.BHM.i18n.onChange(onLanguageChange);
+
+  // Keep the stars in sync with other tabs
+  window.addEventListener('storage', event => {
+    if (event.key !== SHORTLIST_KEY || !state.projects) return;
+    state.shortlist = readShortlist();
+    renderShortlist();
+  });
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,285 @@
+/**
+ * BrainHack Marseille 2026 - Project Matchmaking Quiz
+ * Short questionnaire (languages, Git level, modalities, tools, learn or
+ * contribute) that ranks this year's projects and explains each match
+ */
+
+(function() {
+  'use strict';
+
+  const { escapeHtml, splitValues, formatLabel, keepFocus } = window.BHM.utils;
+  const { t } = window.BHM.i18n;
+
+  // Configuration
+  const CONTAINER_ID = 'project-quiz';
+  const PROJECTS_HASH = '#projects';
+
+  // Multiple-choice questions, built from the values used by the projects
+  // `weight` is added for every value the visitor already knows
+  const QUESTIONS = [
+    { key: 'languages', field: 'programming_languages', weight: 3 },
+    { key: 'modalities', field: 'modalities', weight: 2 },
+    { key: 'tools', field: 'tools', weight: 2 }
+  ];
+
+  // Git levels of the issue template's git_skills dropdown (0_no_git_skills...)
+  const GIT_LEVELS = [0, 1, 2, 3];
+
+  // Scoring of what the visitor does not know yet: a bonus when they want to
+  // learn, a penalty when they want to contribute right away
+  const LEARNING_BONUS = 1;
+  const GAP_PENALTY = 1;
+  const GIT_OK_BONUS = 1;
+  const GIT_GAP_PENALTY = 2;
+
+  const state = {
+    projects: [],
+    options: {},
+    answers: null,
+    open: false
+  };
+
+  /**
+   * Main initialization function
+   * The grid loads the projects (and reports loading errors); the quiz stays
+   * hidden until this year has projects.
+   */
+  function init() {
+    const container = document.getElementById(CONTAINER_ID);
+    if (!container) return;
+
+    window.BHM.projects.subscribe(projects => {
+      state.projects = projects.filter(project => String(project.year) === window.BHM.projects.currentYear);
+      state.options = collectOptions(state.projects);
+      keepFocus(container, () => renderQuiz(container));
+    });
+
+    window.BHM.i18n.onChange(() => renderQuiz(container));
+  }
+
+  /**
+   * Choices offered for each question, sorted alphabetically
+   */
+  function collectOptions(projects) {
+    const options = {};
+
+    QUESTIONS.forEach(question => {
+      const values = new Map();
+      projects.forEach(project => {
+        splitValues(project[question.field]).forEach((label, key) => {
+          if (!values.has(key)) values.set(key, formatLabel(label));
+        });
+      });
+
+      options[question.key] = [...values.entries()]
+        .sort((a, b) => a[1].localeCompare(b[1], undefined, { sensitivity: 'base' }));
+    });
+
+    return options;
+  }
+
+  /**
+   * Git level a project asks for (0 when Git is not needed)
+   */
+  function getRequiredGitLevel(project) {
+    const levels = project.git_skill_levels || [];
+    return levels.reduce((max, skill) => Math.max(max, skill.level), 0);
+  }
+
+  /**
+   * Score one project against the answers, with the reasons behind it
+   */
+  function scoreProject(project, answers) {
+    const learning = answers.goal === 'learn';
+    const matches = [];
+    const missing = [];
+    let score = 0;
+
+    QUESTIONS.forEach(question => {
+      splitValues(project[question.field]).forEach((label, key) => {
+        if (answers[question.key].includes(key)) {
+          matches.push(formatLabel(label));
+          score += question.weight;
+        } else {
+          missing.push(formatLabel(label));
+          score += learning ? LEARNING_BONUS : -GAP_PENALTY;
+        }
+      });
+    });
+
+    const reasons = [];
+    if (matches.length > 0) {
+      reasons.push(t('quiz.reasonMatches', { items: matches.join(', ') }));
+    }
+    if (missing.length > 0) {
+      reasons.push(t(learning ? 'quiz.reasonLearn' : 'quiz.reasonGap', { items: missing.join(', ') }));
+    }
+
+    const gitLevel = getRequiredGitLevel(project);
+    if (gitLevel > 0) {
+      const level = t(`quiz.git${gitLevel}`);
+
+      if (answers.git >= gitLevel) {
+        reasons.push(t('quiz.reasonGitOk', { level: level }));
+        score += GIT_OK_BONUS;
+      } else if (learning) {
+        reasons.push(t('quiz.reasonGitLearn', { level: level }));
+      } else {
+        reasons.push(t('quiz.reasonGitGap', { level: level }));
+        score -= GIT_GAP_PENALTY * (gitLevel - answers.git);
+      }
+    }
+
+    return { project: project, score: score, hasMatch: matches.length > 0, reasons: reasons };
+  }
+
+  /**
+   * Rank the projects, best match first (ties keep the JSON order)
+   */
+  function rankProjects(answers) {
+    return state.projects
+      .map(project => scoreProject(project, answers))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Read the answers from the form
+   */
+  function readAnswers(form) {
+    const answers = {
+      git: parseInt(form.elements.git.value, 10) || 0,
+      goal: form.elements.goal.value || 'learn'
+    };
+
+    QUESTIONS.forEach(question => {
+      answers[question.key] = [...form.querySelectorAll(`input[name="${question.key}"]:checked`)]
+        .map(input => input.value);
+    });
+
+    return answers;
+  }
+
+  /**
+   * Draw the quiz (answers in progress and results survive a language switch)
+   */
+  function renderQuiz(container) {
+    if (state.projects.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const form = container.querySelector('.quiz-form');
+    const answers = form
+      ? readAnswers(form)
+      : state.answers || { git: 0, goal: 'learn', languages: [], modalities: [], tools: [] };
+    const bodyId = `${CONTAINER_ID}-body`;
+
+    container.innerHTML = `
+      <div class="project-quiz-card">
+        <button type="button" class="btn-quiz-toggle" aria-expanded="${state.open}" aria-controls="${bodyId}">
+          <i class="icofont-search-user" aria-hidden="true"></i>
+          ${t('quiz.toggle')}
+        </button>
+
+        <div id="${bodyId}" class="project-quiz-body"${state.open ? '' : ' hidden'}>
+          <p class="quiz-intro">${t('quiz.intro')}</p>
+
+          <form class="quiz-form">
+            ${QUESTIONS.slice(0, 1).map(question => createChoices(question, answers)).join('')}
+
+            <fieldset class="quiz-question">
+              <legend>${t('quiz.gitQuestion')}</legend>
+              ${GIT_LEVELS.map(level => `
+                <label class="quiz-option">
+                  <input type="radio" name="git" value="${level}"${answers.git === level ? ' checked' : ''}>
+                  ${t(`quiz.gitAnswer${level}`)}
+                </label>
+              `).join('')}
+            </fieldset>
+
+            ${QUESTIONS.slice(1).map(question => createChoices(question, answers)).join('')}
+
+            <fieldset class="quiz-question">
+              <legend>${t('quiz.goalQuestion')}</legend>
+              ${['learn', 'contribute'].map(goal => `
+                <label class="quiz-option">
+                  <input type="radio" name="goal" value="${goal}"${answers.goal === goal ? ' checked' : ''}>
+                  ${t(`quiz.goal.${goal}`)}
+                </label>
+              `).join('')}
+            </fieldset>
+
+            <button type="submit" class="btn btn-primary">
+              <i class="icofont-magic" aria-hidden="true"></i> ${t('quiz.submit')}
+            </button>
+          </form>
+
+          <div class="quiz-results"></div>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('.btn-quiz-toggle').addEventListener('click', event => {
+      state.open = !state.open;
+      event.currentTarget.setAttribute('aria-expanded', String(state.open));
+      container.querySelector(`#${bodyId}`).hidden = !state.open;
+    });
+
+    container.querySelector('.quiz-form').addEventListener('submit', event => {
+      event.preventDefault();
+      state.answers = readAnswers(event.target);
+      renderResults(container);
+      container.querySelector('.quiz-results-title').focus();
+    });
+
+    if (state.answers) renderResults(container);
+  }
+
+  /**
+   * Checkboxes for one multiple-choice question
+   */
+  function createChoices(question, answers) {
+    const options = state.options[question.key];
+    if (options.length === 0) return '';
+
+    return `
+      <fieldset class="quiz-question">
+        <legend>${t(`quiz.${question.key}Question`)}</legend>
+        ${options.map(([value, label]) => `
+          <label class="quiz-option">
+            <input type="checkbox" name="${question.key}" value="${escapeHtml(value)}"${answers[question.key].includes(value) ? ' checked' : ''}>
+            ${escapeHtml(label)}
+          </label>
+        `).join('')}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Show the ranked projects with the reasons for each match
+   */
+  function renderResults(container) {
+    const results = rankProjects(state.answers);
+    const target = container.querySelector('.quiz-results');
+
+    target.innerHTML = `
+      <h4 class="quiz-results-title" tabindex="-1">${t('quiz.resultsTitle')}</h4>
+      <ol class="quiz-result-list">
+        ${results.map(result => `
+          <li class="quiz-result${result.hasMatch ? ' quiz-result-match' : ''}">
+            <a href="${PROJECTS_HASH}/${encodeURIComponent(String(result.project.id))}">${escapeHtml(result.project.title)}</a>
+            <p class="quiz-reasons">${escapeHtml(result.reasons.join('; ') || t('quiz.reasonNone'))}</p>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,273 @@
+/**
+ * BrainHack Marseille 2026 - Projects JSON Validation
+ * Checks and normalizes the project entries between fetch and render
+ */
+
+(function() {
+  'use strict';
+
+  // Free-text fields rendered by projects.js (always strings after normalization)
+  const TEXT_FIELDS = [
+    'title', 'leaders', 'collaborators', 'description', 'goals', 'learning',
+    'repository', 'communication', 'onboarding', 'data', 'skills',
+    'good_first_issues', 'num_collaborators', 'image', 'type',
+    'development_status', 'topics', 'tools', 'programming_languages',
+    'modalities', 'git_skills', 'issue_url', 'page_url', 'created_at', 'updated_at'
+  ];
+
+  // Answers meaning "nothing" (GitHub issue forms, Python None)
+  const EMPTY_VALUES = ['no response', '_no response_', 'none', 'null', 'undefined', 'n/a'];
+
+  // Dropdown options of the issue template, with human labels
+  const DEVELOPMENT_STATUS = {
+    '0_concept_no_content': 'Concept, no content yet',
+    '1_basic structure': 'Basic structure',
+    '2_releases_existing': 'Releases existing'
+  };
+
+  // `null` label: the option means "no requirement"
+  const GIT_SKILLS = {
+    '0_no_git_skills': 'No Git skills needed',
+    '1_commit_push': 'Commit & push',
+    '2_branches_PRs': 'Branches & pull requests',
+    '3_continuous_integration': 'Continuous integration',
+    '4_not_applicable': null
+  };
+
+  // "Number of collaborators" options; "more" has no upper bound
+  const TEAM_SIZES = {
+    '1-3': { min: 1, max: 3 },
+    '3-5': { min: 3, max: 5 },
+    '5-7': { min: 5, max: 7 },
+    'more': { min: 8, max: null }
+  };
+
+  /**
+   * Check if a raw value means "no answer"
+   */
+  function isEmpty(value) {
+    return value === null || value === undefined ||
+      EMPTY_VALUES.includes(String(value).trim().toLowerCase()) ||
+      String(value).trim() === '';
+  }
+
+  /**
+   * Coerce a raw field to a trimmed string
+   */
+  function toText(value, field, warnings) {
+    if (isEmpty(value)) return '';
+
+    if (Array.isArray(value)) {
+      warnings.push(`${field} is a list, joined with commas`);
+      return value.filter(item => !isEmpty(item)).map(item => String(item).trim()).join(', ');
+    }
+
+    if (typeof value === 'object') {
+      warnings.push(`${field} is an object, ignored`);
+      return '';
+    }
+
+    return String(value).trim();
+  }
+
+  /**
+   * Parse labels given as an array, a comma list or a stringified Python list
+   * (e.g. "['project', 'project:approved']")
+   */
+  function toLabels(value, warnings) {
+    if (isEmpty(value)) return [];
+    if (Array.isArray(value)) return value.filter(label => !isEmpty(label)).map(label => String(label).trim());
+
+    if (typeof value !== 'string') {
+      warnings.push('labels is neither a list nor a string, ignored');
+      return [];
+    }
+
+    return value
+      .replace(/^\s*\[|\]\s*$/g, '')
+      .split(',')
+      .map(label => label.trim().replace(/^['"]|['"]$/g, '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Team size range from "Number of collaborators" ("3-5", "more", or a plain
+   * number in archived editions), or null when not answered
+   */
+  function toTeamSize(value, warnings) {
+    if (!value) return null;
+
+    const key = value.toLowerCase();
+    if (TEAM_SIZES[key]) return Object.assign({ label: value }, TEAM_SIZES[key]);
+
+    const range = /^(\d+)\s*(?:-\s*(\d+))?$/.exec(key);
+    if (range) {
+      const min = parseInt(range[1], 10);
+      return { label: value, min: min, max: range[2] ? parseInt(range[2], 10) : min };
+    }
+
+    warnings.push(`num_collaborators "${value}" is not a known option`);
+    return null;
+  }
+
+  /**
+   * Development stage from the dropdown value, or null for free-text answers
+   */
+  function toStage(value, warnings) {
+    if (!value) return null;
+
+    const match = /^\s*(\d+)_/.exec(value);
+    if (!match) {
+      warnings.push('development_status is free text, not a dropdown option');
+      return null;
+    }
+
+    return {
+      level: parseInt(match[1], 10),
+      label: DEVELOPMENT_STATUS[value] || value.replace(/^\s*\d+_/, '').replace(/_/g, ' ')
+    };
+  }
+
+  /**
+   * Git skill levels from the (multi-select) dropdown; "not applicable" is dropped
+   */
+  function toGitSkills(value, warnings) {
+    if (!value) return [];
+
+    return value.split(/[,;\n]+/).map(item => item.trim()).filter(Boolean).reduce((levels, item) => {
+      if (!(item in GIT_SKILLS)) {
+        warnings.push(`git_skills "${item}" is not a known option`);
+      } else if (GIT_SKILLS[item]) {
+        levels.push({ level: parseInt(item, 10), label: GIT_SKILLS[item] });
+      }
+      return levels;
+    }, []);
+  }
+
+  /**
+   * Keep a date only if it parses, as an ISO string
+   */
+  function checkDate(value, field, warnings) {
+    if (!value) return '';
+    if (!isNaN(Date.parse(value))) return value;
+
+    warnings.push(`${field} "${value}" is not a valid date`);
+    return '';
+  }
+
+  /**
+   * Keep a link only if it is http(s) (or site-relative when allowed)
+   */
+  function checkUrl(value, field, warnings, allowRelative) {
+    if (!value) return '';
+    // No quotes or angle brackets: the links end up in HTML attributes
+    if (/^https?:\/\/[^\s"'<>`]+$/i.test(value)) return value;
+    if (allowRelative && /^[\w\-.\/]+(#[\w\-]*)?$/.test(value) && !value.startsWith('//')) return value;
+
+    warnings.push(`${field} is not a valid link`);
+    return '';
+  }
+
+  /**
+   * Validate and normalize one project entry
+   *
+   * @param {*} raw - Entry from the JSON file
+   * @param {Object} defaults - Values for missing fields (e.g. { year: 2026 })
+   * @returns {{ project: Object|null, warnings: Array<string> }} project is null
+   *   when the entry cannot be rendered at all
+   */
+  function normalizeProject(raw, defaults) {
+    const warnings = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { project: null, warnings: ['entry is not an object, skipped'] };
+    }
+
+    const project = Object.assign({}, defaults, raw);
+
+    TEXT_FIELDS.forEach(field => {
+      project[field] = toText(project[field], field, warnings);
+    });
+
+    if (!project.title) {
+      return { project: null, warnings: warnings.concat('missing title, skipped') };
+    }
+
+    if (isEmpty(project.id)) {
+      warnings.push('missing id, deep links will not be stable');
+      project.id = null;
+    }
+
+    const year = parseInt(project.year, 10);
+    if (isNaN(year)) warnings.push(`year "${project.year}" is not a number`);
+    project.year = isNaN(year) ? (defaults && defaults.year) || null : year;
+
+    project.labels = toLabels(raw.labels, warnings);
+    project.team_size = toTeamSize(project.num_collaborators, warnings);
+    project.stage = toStage(project.development_status, warnings);
+    project.git_skill_levels = toGitSkills(project.git_skills, warnings);
+    project.created_at = checkDate(project.created_at, 'created_at', warnings);
+    project.updated_at = checkDate(project.updated_at, 'updated_at', warnings);
+    project.image = checkUrl(project.image, 'image', warnings, true);
+    project.issue_url = checkUrl(project.issue_url, 'issue_url', warnings, false);
+    project.page_url = checkUrl(project.page_url, 'page_url', warnings, true);
+
+    return { project: project, warnings: warnings };
+  }
+
+  /**
+   * Validate and normalize a projects JSON file
+   * Malformed entries are skipped, questionable fields degraded; every
+   * problem is logged once per project.
+   *
+   * @param {*} data - Parsed JSON (expected to be an array)
+   * @param {Object} options - `source` (name used in the logs) and `defaults`
+   * @returns {{ projects: Array<Object>, warnings: Array<{id, title, messages}> }}
+   */
+  function normalizeProjects(data, options) {
+    const settings = options || {};
+    const source = settings.source || 'projects';
+    const report = [];
+
+    if (!Array.isArray(data)) {
+      console.warn(`⚠️ ${source}: expected a list of projects, got ${typeof data}`);
+      return { projects: [], warnings: [{ id: null, title: '', messages: ['not a list'] }] };
+    }
+
+    const seen = new Set();
+    const projects = [];
+
+    data.forEach((raw, index) => {
+      const result = normalizeProject(raw, settings.defaults);
+      const project = result.project;
+
+      if (project && project.id !== null) {
+        if (seen.has(String(project.id))) {
+          result.warnings.push(`duplicate id ${project.id}, skipped`);
+        } else {
+          seen.add(String(project.id));
+        }
+      }
+
+      const skipped = !project || result.warnings.some(message => message.startsWith('duplicate id'));
+      if (!skipped) projects.push(project);
+
+      if (result.warnings.length > 0) {
+        const id = project && project.id !== null ? project.id : `#${index}`;
+        report.push({ id: id, title: project ? project.title : '', messages: result.warnings });
+        console.warn(`⚠️ ${source} ${id}${project ? ` (${project.title})` : ''}:\n  - ${result.warnings.join('\n  - ')}`);
+      }
+    });
+
+    return { projects: projects, warnings: report };
+  }
+
+  window.BHM = window.BHM || {};
+  window.BHM.schema = {
+    normalizeProjects: normalizeProjects,
+    normalizeProject: normalizeProject,
+    DEVELOPMENT_STATUS: DEVELOPMENT_STATUS,
+    GIT_SKILLS: GIT_SKILLS
+  };
+
+})();
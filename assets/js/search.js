@@ -0,0 +1,287 @@
+/**
+ * BrainHack Marseille 2026 - Client-side Project Search
+ * Small full-text index with weighted fields, accent folding and typo tolerance
+ */
+
+(function() {
+  'use strict';
+
+  // Fields indexed for each project and how much a hit in each one counts
+  const DEFAULT_FIELDS = {
+    title: 5,
+    leaders: 4,
+    collaborators: 3,
+    tools: 3,
+    skills: 2,
+    goals: 1.5,
+    description: 1,
+    good_first_issues: 1
+  };
+
+  // Score multipliers depending on how a query term matched an indexed token
+  const EXACT_MATCH = 1;
+  const PREFIX_MATCH = 0.7;
+  const FUZZY_MATCH = 0.4;
+
+  /**
+   * Lowercase and strip accents so that "Mélina" matches "melina"
+   */
+  function normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Split text into normalized word tokens
+   */
+  function tokenize(text) {
+    return normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  /**
+   * Edit distance counting swapped neighbours as one typo ("pyhton" -> "python"),
+   * bounded by `max` (returns max + 1 when exceeded)
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+        if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > max) return max + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Number of typos tolerated for a query term of the given length
+   */
+  function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Build a search index over a list of documents
+   *
+   * @param {Array<Object>} documents - Objects to index
+   * @param {Object} options - `id` ((document, index) -> key) and `fields` (name -> weight)
+   * @returns {{ search: Function, size: number }}
+   */
+  function createIndex(documents, options) {
+    const settings = options || {};
+    const getId = settings.id || (doc => doc.id);
+    const fields = settings.fields || DEFAULT_FIELDS;
+
+    // token -> Map(documentId -> weighted term frequency)
+    const postings = new Map();
+
+    documents.forEach((doc, index) => {
+      const docId = getId(doc, index);
+
+      Object.keys(fields).forEach(field => {
+        tokenize(doc[field]).forEach(token => {
+          if (!postings.has(token)) postings.set(token, new Map());
+          const scores = postings.get(token);
+          scores.set(docId, (scores.get(docId) || 0) + fields[field]);
+        });
+      });
+    });
+
+    const tokens = [...postings.keys()];
+
+    /**
+     * Find indexed tokens matching one query term, with their match quality
+     */
+    function expandTerm(term) {
+      const matches = new Map();
+      const maxTypos = allowedTypos(term);
+
+      tokens.forEach(token => {
+        if (token === term) {
+          matches.set(token, EXACT_MATCH);
+        } else if (term.length >= 2 && token.startsWith(term)) {
+          matches.set(token, PREFIX_MATCH);
+        } else if (maxTypos > 0 && editDistance(term, token, maxTypos) <= maxTypos) {
+          matches.set(token, FUZZY_MATCH);
+        }
+      });
+
+      return matches;
+    }
+
+    /**
+     * Rank documents against a query; every term must match somewhere
+     *
+     * @param {string} query - Free text typed by the visitor
+     * @returns {{ results: Array<{id, score}>, terms: Array<string> }}
+     *   results sorted by descending score, and the indexed tokens that
+     *   matched (used to highlight the hits)
+     */
+    function search(query) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) return { results: [], terms: [] };
+
+      let scores = null;
+      const matchedTokens = new Set();
+
+      for (const term of terms) {
+        const termScores = new Map();
+
+        expandTerm(term).forEach((quality, token) => {
+          matchedTokens.add(token);
+          postings.get(token).forEach((weight, docId) => {
+            termScores.set(docId, Math.max(termScores.get(docId) || 0, weight * quality));
+          });
+        });
+
+        if (scores === null) {
+          scores = termScores;
+        } else {
+          // Keep only documents matching every term so far
+          const merged = new Map();
+          scores.forEach((score, docId) => {
+            if (termScores.has(docId)) merged.set(docId, score + termScores.get(docId));
+          });
+          scores = merged;
+        }
+
+        if (scores.size === 0) break;
+      }
+
+      const results = [...scores.entries()]
+        .map(([id, score]) => ({ id: id, score: score }))
+        .sort((a, b) => b.score - a.score);
+
+      return { results: results, terms: [...matchedTokens] };
+    }
+
+    return {
+      search: search,
+      size: documents.length
+    };
+  }
+
+  /**
+   * Wrap every occurrence of the given tokens inside `root` in <mark> elements
+   * Matching is accent- and case-insensitive and only hits whole words.
+   */
+  function highlight(root, terms) {
+    clearHighlights(root);
+    if (!root || !terms || terms.length === 0) return;
+
+    const wanted = [...terms].sort((a, b) => b.length - a.length);
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentNode;
+        if (!node.nodeValue.trim() || parent.closest('script, style, mark.search-highlight')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      const ranges = findRanges(node.nodeValue, wanted);
+      if (ranges.length === 0) return;
+
+      const fragment = document.createDocumentFragment();
+      const text = node.nodeValue;
+      let cursor = 0;
+
+      ranges.forEach(([start, end]) => {
+        if (start > cursor) fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = text.slice(start, end);
+        fragment.appendChild(mark);
+        cursor = end;
+      });
+
+      if (cursor < text.length) fragment.appendChild(document.createTextNode(text.slice(cursor)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  }
+
+  /**
+   * Find [start, end) ranges in the original text for whole-word tokens
+   */
+  function findRanges(text, terms) {
+    // Normalize character by character so positions map back to the original
+    let folded = '';
+    const origin = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const chunk = normalize(text[i]);
+      for (let k = 0; k < chunk.length; k++) {
+        folded += chunk[k];
+        origin.push(i);
+      }
+    }
+
+    const ranges = [];
+    const isWordChar = ch => /[a-z0-9]/.test(ch || '');
+    let i = 0;
+
+    while (i < folded.length) {
+      if (isWordChar(folded[i]) && !isWordChar(folded[i - 1])) {
+        const term = terms.find(t => folded.startsWith(t, i) && !isWordChar(folded[i + t.length]));
+        if (term) {
+          const end = i + term.length;
+          ranges.push([origin[i], origin[end - 1] + 1]);
+          i = end;
+          continue;
+        }
+      }
+      i++;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Remove highlights previously added by `highlight()`
+   */
+  function clearHighlights(root) {
+    if (!root) return;
+
+    root.querySelectorAll('mark.search-highlight').forEach(mark => {
+      const parent = mark.parentNode;
+      parent.replaceChild(document.createTextNode(mark.textContent), mark);
+      parent.normalize();
+    });
+  }
+
+  window.BHM = window.BHM || {};
+  window.BHM.search = {
+    createIndex: createIndex,
+    highlight: highlight,
+    clearHighlights: clearHighlights,
+    normalize: normalize,
+    tokenize: tokenize
+  };
+
+})();
@@ -0,0 +1,439 @@
+/**
+ * BrainHack Marseille 2026 - Project Statistics
+ * Counts per topic, modality, tool, language and type, development status,
+ * declared collaborators and submissions over time, for any edition, drawn
+ * as plain SVG charts (no charting library)
+ */
+
+(function() {
+  'use strict';
+
+  const { splitValues, formatLabel, keepFocus } = window.BHM.utils;
+  const { t } = window.BHM.i18n;
+
+  // Configuration
+  // Editions of the grid (projects.js), current edition first
+  const DATA_SOURCES = window.BHM.projects.sources;
+  const CURRENT_YEAR = window.BHM.projects.currentYear;
+  const ALL_YEARS = 'all';
+  const CONTAINER_ID = 'project-stats';
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Multi-select fields counted value by value, labelled like the filter bar
+  // ("projects.facet.<field>" in the catalogs)
+  const CATEGORIES = ['topics', 'modalities', 'tools', 'programming_languages', 'type'];
+
+  // Bar charts keep the most frequent values, the rest is summed up in a note
+  const MAX_BARS = 12;
+
+  // Bar chart geometry (SVG user units, scaled to the container width)
+  const CHART_WIDTH = 600;
+  const LABEL_WIDTH = 190;
+  const BAR_HEIGHT = 20;
+  const BAR_GAP = 8;
+  const LABEL_MAX_LENGTH = 28;
+
+  // Timeline geometry
+  const TIMELINE_HEIGHT = 180;
+  const TIMELINE_PADDING = { top: 15, right: 20, bottom: 30, left: 40 };
+
+  const state = {
+    projects: [],
+    year: CURRENT_YEAR,
+    open: false
+  };
+
+  /**
+   * Main initialization function
+   * The grid loads the projects of every edition (and reports loading
+   * errors); the statistics stay hidden until there are projects.
+   */
+  function init() {
+    const container = document.getElementById(CONTAINER_ID);
+    if (!container) return;
+
+    window.BHM.projects.subscribe(projects => {
+      state.projects = projects;
+      keepFocus(container, () => renderStats(container));
+    });
+
+    window.BHM.i18n.onChange(() => renderStats(container));
+  }
+
+  /**
+   * Projects of the selected edition(s)
+   */
+  function getSelectedProjects() {
+    return state.projects.filter(project => state.year === ALL_YEARS || String(project.year) === state.year);
+  }
+
+  /**
+   * Number of projects per value of a field, most frequent first
+   *
+   * @returns {Array<{label: string, count: number}>}
+   */
+  function countValues(projects, field) {
+    const counts = new Map();
+
+    projects.forEach(project => {
+      splitValues(project[field]).forEach((label, key) => {
+        const entry = counts.get(key) || { label: formatLabel(label), count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      });
+    });
+
+    return [...counts.values()]
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * Number of projects per development stage, in stage order; free-text
+   * answers are grouped at the end
+   */
+  function countStatuses(projects) {
+    const stages = new Map();
+    let freeText = 0;
+
+    projects.forEach(project => {
+      if (project.stage) {
+        const entry = stages.get(project.stage.level) || { label: project.stage.label, count: 0 };
+        entry.count += 1;
+        stages.set(project.stage.level, entry);
+      } else if (project.development_status) {
+        freeText += 1;
+      }
+    });
+
+    const counts = [...stages.entries()].sort((a, b) => a[0] - b[0]).map(entry => entry[1]);
+    if (freeText > 0) counts.push({ label: t('stats.statusOther'), count: freeText });
+
+    return counts;
+  }
+
+  /**
+   * Sum of the declared team sizes ("3-5", "more"...) as a range
+   *
+   * @returns {{min: number, max: number|null, answered: number}} max is null
+   *   when a team declared "more" (no upper bound)
+   */
+  function sumCollaborators(projects) {
+    return projects.reduce((total, project) => {
+      if (!project.team_size) return total;
+
+      return {
+        min: total.min + project.team_size.min,
+        max: total.max === null || project.team_size.max === null ? null : total.max + project.team_size.max,
+        answered: total.answered + 1
+      };
+    }, { min: 0, max: 0, answered: 0 });
+  }
+
+  /**
+   * Submission dates, oldest first
+   */
+  function getSubmissionTimes(projects) {
+    return projects
+      .map(project => Date.parse(project.created_at))
+      .filter(time => !isNaN(time))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Draw the statistics (the selected edition survives a language switch)
+   */
+  function renderStats(container) {
+    if (state.projects.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const bodyId = `${CONTAINER_ID}-body`;
+    const years = DATA_SOURCES
+      .map(source => String(source.year))
+      .filter(year => state.projects.some(project => String(project.year) === year));
+    if (state.year !== ALL_YEARS && !years.includes(state.year)) state.year = ALL_YEARS;
+
+    container.innerHTML = `
+      <div class="project-stats-card">
+        <button type="button" class="btn-stats-toggle" aria-expanded="${state.open}" aria-controls="${bodyId}">
+          <i class="icofont-chart-bar-graph" aria-hidden="true"></i>
+          ${t('stats.toggle')}
+        </button>
+
+        <div id="${bodyId}" class="project-stats-body"${state.open ? '' : ' hidden'}>
+          <div class="filter-years stats-years" role="group" aria-label="${t('projects.edition')}">
+            ${years.concat(ALL_YEARS).map(year => `
+              <button type="button"
+                      class="filter-year${state.year === year ? ' active' : ''}"
+                      data-year="${year}"
+                      aria-pressed="${state.year === year}">
+                ${year === ALL_YEARS ? t('projects.allEditions') : year}
+              </button>
+            `).join('')}
+          </div>
+
+          <div class="stats-content"></div>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('.btn-stats-toggle').addEventListener('click', event => {
+      state.open = !state.open;
+      event.currentTarget.setAttribute('aria-expanded', String(state.open));
+      container.querySelector(`#${bodyId}`).hidden = !state.open;
+    });
+
+    container.querySelector('.stats-years').addEventListener('click', event => {
+      const button = event.target.closest('.filter-year');
+      if (!button) return;
+
+      state.year = button.dataset.year;
+      container.querySelectorAll('.stats-years .filter-year').forEach(item => {
+        const active = item === button;
+        item.classList.toggle('active', active);
+        item.setAttribute('aria-pressed', String(active));
+      });
+      renderContent(container.querySelector('.stats-content'));
+    });
+
+    renderContent(container.querySelector('.stats-content'));
+  }
+
+  /**
+   * Summary figures and charts of the selected edition(s)
+   */
+  function renderContent(target) {
+    const projects = getSelectedProjects();
+    const collaborators = sumCollaborators(projects);
+    const times = getSubmissionTimes(projects);
+
+    target.innerHTML = `
+      <ul class="stats-summary">
+        <li>
+          <span class="stats-figure">${projects.length}</span>
+          ${t('stats.projects', { count: projects.length })}
+        </li>
+        <li>
+          <span class="stats-figure">${formatCollaborators(collaborators)}</span>
+          ${t('stats.collaborators', { count: collaborators.min, answered: collaborators.answered })}
+        </li>
+      </ul>
+
+      <div class="row stats-charts"></div>
+    `;
+
+    const charts = target.querySelector('.stats-charts');
+
+    // Editions side by side, whatever the selection
+    charts.appendChild(createPanel(t('stats.byEdition'), createBarChart(countEditions())));
+
+    CATEGORIES.forEach(field => {
+      charts.appendChild(createPanel(t(`projects.facet.${field}`), createBarChart(countValues(projects, field))));
+    });
+
+    charts.appendChild(createPanel(t('projects.facet.development_status'), createBarChart(countStatuses(projects))));
+    charts.appendChild(createPanel(t('stats.timeline'), createTimeline(times), true));
+  }
+
+  /**
+   * Number of projects per edition, newest first
+   */
+  function countEditions() {
+    return DATA_SOURCES
+      .map(source => ({
+        label: String(source.year),
+        count: state.projects.filter(project => String(project.year) === String(source.year)).length
+      }))
+      .filter(entry => entry.count > 0);
+  }
+
+  /**
+   * Collaborators range as text ("24-33", "40+")
+   */
+  function formatCollaborators(total) {
+    if (total.answered === 0) return '–';
+    if (total.max === null) return `${total.min}+`;
+    return total.min === total.max ? String(total.min) : `${total.min}–${total.max}`;
+  }
+
+  /**
+   * Titled chart panel
+   */
+  function createPanel(title, chart, wide) {
+    const panel = document.createElement('figure');
+    panel.className = wide ? 'col-12 stats-panel' : 'col-lg-6 stats-panel';
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'stats-panel-title';
+    caption.textContent = title;
+
+    panel.append(caption, chart);
+    return panel;
+  }
+
+  /**
+   * Create an SVG element with attributes
+   */
+  function createSvgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes || {}).forEach(key => element.setAttribute(key, attributes[key]));
+    return element;
+  }
+
+  /**
+   * Paragraph shown instead of an empty chart
+   */
+  function createEmptyNote(message) {
+    const note = document.createElement('p');
+    note.className = 'stats-empty';
+    note.textContent = message;
+    return note;
+  }
+
+  /**
+   * Horizontal bar chart, one row per value
+   * Each row has a <title> with the full label and count for screen readers
+   * and tooltips.
+   */
+  function createBarChart(entries) {
+    if (entries.length === 0) return createEmptyNote(t('stats.noData'));
+
+    const shown = entries.slice(0, MAX_BARS);
+    const max = Math.max(...shown.map(entry => entry.count));
+    const height = shown.length * (BAR_HEIGHT + BAR_GAP);
+    const barSpace = CHART_WIDTH - LABEL_WIDTH - 40;
+
+    const svg = createSvgElement('svg', {
+      class: 'stats-chart',
+      viewBox: `0 0 ${CHART_WIDTH} ${height}`,
+      role: 'list'
+    });
+
+    shown.forEach((entry, index) => {
+      const y = index * (BAR_HEIGHT + BAR_GAP);
+      const width = Math.max(2, Math.round((entry.count / max) * barSpace));
+      const label = entry.label.length > LABEL_MAX_LENGTH
+        ? `${entry.label.slice(0, LABEL_MAX_LENGTH - 1)}…`
+        : entry.label;
+
+      const row = createSvgElement('g', { role: 'listitem' });
+
+      const title = createSvgElement('title');
+      title.textContent = `${entry.label}: ${entry.count}`;
+
+      const text = createSvgElement('text', {
+        class: 'stats-label',
+        x: LABEL_WIDTH - 10,
+        y: y + BAR_HEIGHT / 2,
+        'text-anchor': 'end',
+        'dominant-baseline': 'middle',
+        'aria-hidden': 'true'
+      });
+      text.textContent = label;
+
+      const bar = createSvgElement('rect', {
+        class: 'stats-bar',
+        x: LABEL_WIDTH,
+        y: y,
+        width: width,
+        height: BAR_HEIGHT,
+        rx: 3
+      });
+
+      const value = createSvgElement('text', {
+        class: 'stats-value',
+        x: LABEL_WIDTH + width + 6,
+        y: y + BAR_HEIGHT / 2,
+        'dominant-baseline': 'middle',
+        'aria-hidden': 'true'
+      });
+      value.textContent = String(entry.count);
+
+      row.append(title, text, bar, value);
+      svg.appendChild(row);
+    });
+
+    if (entries.length <= MAX_BARS) return svg;
+
+    const wrapper = document.createDocumentFragment();
+    const others = entries.slice(MAX_BARS);
+    const note = createEmptyNote(t('stats.moreValues', { count: others.length }));
+    note.className = 'stats-more';
+    note.title = others.map(entry => `${entry.label}: ${entry.count}`).join(', ');
+
+    wrapper.append(svg, note);
+    return wrapper;
+  }
+
+  /**
+   * Cumulative number of submissions over time (step line)
+   */
+  function createTimeline(times) {
+    if (times.length === 0) return createEmptyNote(t('stats.noDates'));
+
+    const padding = TIMELINE_PADDING;
+    const innerWidth = CHART_WIDTH - padding.left - padding.right;
+    const innerHeight = TIMELINE_HEIGHT - padding.top - padding.bottom;
+    const start = times[0];
+    const end = times[times.length - 1];
+    const span = end - start || 1;
+
+    const x = time => (padding.left + ((time - start) / span) * innerWidth).toFixed(1);
+    const y = count => (padding.top + innerHeight - (count / times.length) * innerHeight).toFixed(1);
+
+    // Horizontal then vertical segments: the total only changes on a submission
+    const points = [`${x(start)},${y(0)}`];
+    times.forEach((time, index) => {
+      points.push(`${x(time)},${y(index)}`, `${x(time)},${y(index + 1)}`);
+    });
+
+    const dateFormat = new Intl.DateTimeFormat(window.BHM.i18n.getLanguage(), { day: 'numeric', month: 'short', year: 'numeric' });
+    const first = dateFormat.format(new Date(start));
+    const last = dateFormat.format(new Date(end));
+
+    const svg = createSvgElement('svg', {
+      class: 'stats-chart stats-timeline',
+      viewBox: `0 0 ${CHART_WIDTH} ${TIMELINE_HEIGHT}`,
+      role: 'img'
+    });
+
+    const title = createSvgElement('title');
+    title.textContent = t('stats.timelineSummary', { count: times.length, first: first, last: last });
+
+    const axis = createSvgElement('path', {
+      class: 'stats-axis',
+      d: `M${padding.left},${padding.top} V${padding.top + innerHeight} H${padding.left + innerWidth}`
+    });
+
+    const line = createSvgElement('polyline', { class: 'stats-line', points: points.join(' ') });
+
+    const labels = [
+      { text: String(times.length), x: padding.left - 6, y: padding.top, anchor: 'end' },
+      { text: '0', x: padding.left - 6, y: padding.top + innerHeight, anchor: 'end' },
+      { text: first, x: padding.left, y: TIMELINE_HEIGHT - 8, anchor: 'start' },
+      { text: last, x: padding.left + innerWidth, y: TIMELINE_HEIGHT - 8, anchor: 'end' }
+    ].map(label => {
+      const text = createSvgElement('text', {
+        class: 'stats-label',
+        x: label.x,
+        y: label.y,
+        'text-anchor': label.anchor,
+        'dominant-baseline': 'middle'
+      });
+      text.textContent = label.text;
+      return text;
+    });
+
+    svg.append(title, axis, line, ...labels);
+    return svg;
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
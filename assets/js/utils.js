@@ -0,0 +1,136 @@
+/**
+ * BrainHack Marseille 2026 - Shared Helpers
+ * HTML escaping, reading of the issue form's dropdown answers, JSON
+ * loading, focus keeping and file downloads, shared by the renderers (loaded
+ * right after i18n.js)
+ */
+
+(function() {
+  'use strict';
+
+  // Answers that are not a value of their own
+  const IGNORED_VALUES = ['other', 'not_applicable', 'not applicable', 'none', 'no response', '_no response_'];
+
+  // What tells a control apart from its neighbours once redrawn
+  const FOCUS_KEYS = ['name', 'value', 'href', 'data-year'];
+
+  /**
+   * Escape HTML special characters (quotes too, for attribute values)
+   */
+  function escapeHtml(text) {
+    if (!text) return '';
+
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Distinct values of a multi-select answer, keyed by lowercase value
+   * GitHub issue forms join multiple choices with commas; free-text answers
+   * sometimes use semicolons or line breaks instead.
+   *
+   * @param {string} value - Dropdown answer
+   * @returns {Map<string, string>} Lowercase value -> value as written
+   */
+  function splitValues(value) {
+    const values = new Map();
+
+    String(value || '').split(/[,;\n]+/).forEach(item => {
+      const label = item.replace(/`/g, '').trim();
+      const key = label.toLowerCase();
+
+      if (label && !IGNORED_VALUES.includes(key) && !values.has(key)) {
+        values.set(key, label);
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Human readable label for a value (e.g. "pipeline_development")
+   */
+  function formatLabel(value) {
+    const label = value.replace(/_/g, ' ').trim();
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  /**
+   * Fetch a JSON file (through the offline cache when available)
+   *
+   * @param {string} url - Site-relative URL
+   * @returns {Promise<*>} Parsed JSON; rejects on network or HTTP errors
+   */
+  async function loadJson(url) {
+    // offline.js falls back to the copy saved by the service worker
+    const response = window.BHM.offline
+      ? await window.BHM.offline.fetch(url)
+      : await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Run `render`, which redraws the content of `container`, and give the
+   * focus back to the same control when it was inside (a project refresh
+   * must not pull the visitor out of the quiz or the statistics)
+   *
+   * @param {Element} container - Element whose content is redrawn
+   * @param {Function} render - Redraws the content
+   */
+  function keepFocus(container, render) {
+    const focused = document.activeElement;
+    if (!focused || focused === container || !container.contains(focused)) {
+      render();
+      return;
+    }
+
+    const signature = element => [element.tagName, element.classList[0]]
+      .concat(FOCUS_KEYS.map(name => element.getAttribute(name)))
+      .join('|');
+    const before = signature(focused);
+
+    render();
+
+    const target = [...container.querySelectorAll(focused.tagName)].find(element => signature(element) === before);
+    if (target) target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Save generated text as a file (CSV and JSON-LD exports, calendars)
+   *
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type, with its charset for text
+   * @param {string} content - File content
+   */
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  window.BHM = window.BHM || {};
+  window.BHM.utils = {
+    escapeHtml: escapeHtml,
+    splitValues: splitValues,
+    formatLabel: formatLabel,
+    loadJson: loadJson,
+    keepFocus: keepFocus,
+    download: download
+  };
+
+})();
@@ -0,0 +1,336 @@
+#!/usr/bin/env python3
+"""
+Extract past-edition projects from the hand-written BHM_<year> pages.
+
+The 2020-2024 editions list their projects as static HTML. This script parses
+the Projects section of each page and writes assets/data/projects_<year>.json
+with the same fields as the 2026 JSON generated from GitHub issues, so that
+projects.js can render every edition with the same code.
+
+It only uses the standard library and is meant to be run once per archived
+edition (the pages do not change any more):
+
+    python scripts/extract_archive_projects.py            # all editions
+    python scripts/extract_archive_projects.py 2023 2024  # some editions
+"""
+
+import os
+import re
+import sys
+import json
+from html.parser import HTMLParser
+from typing import Dict, List, Optional, Any
+
+# Configuration
+YEARS = [2020, 2021, 2022, 2023, 2024]
+PAGE_TEMPLATE = 'BHM_{year}/BHM_{year}.html'
+OUTPUT_TEMPLATE = 'assets/data/projects_{year}.json'
+
+VOID_TAGS = {'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+             'link', 'meta', 'source', 'track', 'wbr'}
+BLOCK_TAGS = {'p', 'div', 'section', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'b', 'strong'}
+
+# Bold labels used inside the project descriptions -> JSON field
+LABELS = {
+    'goals for the brainhack': 'goals',
+    'goals for brainhack marseille': 'goals',
+    'goals': 'goals',
+    'good first issues': 'good_first_issues',
+    'communication channels': 'communication',
+    'communication channel': 'communication',
+    'what will participants learn?': 'learning',
+    'data to use': 'data',
+    'number of collaborators': 'num_collaborators',
+    'credit to collaborators': None,
+    'anything else?': None,
+    'type': 'type',
+    'development status': 'development_status',
+    'topic': 'topics',
+    'topics': 'topics',
+    'tools': 'tools',
+    'programming language': 'programming_languages',
+    'programming languages': 'programming_languages',
+    'modalities': 'modalities',
+    'git skills': 'git_skills',
+    'skills': 'skills',
+    'link to project repository/sources': 'repository',
+    'repository': 'repository',
+    'onboarding documentation': 'onboarding',
+}
+
+
+class Node:
+    """Minimal element node (text children are plain strings)."""
+
+    def __init__(self, tag: str, attrs: Dict[str, str], parent: Optional['Node']):
+        self.tag = tag
+        self.attrs = attrs
+        self.parent = parent
+        self.children: List[Any] = []
+
+    def iter(self):
+        """Yield this node and all descendant elements in document order."""
+        yield self
+        for child in self.children:
+            if isinstance(child, Node):
+                yield from child.iter()
+
+    def text(self) -> str:
+        parts = []
+        for child in self.children:
+            parts.append(child.text() if isinstance(child, Node) else child)
+        return ''.join(parts)
+
+
+class TreeBuilder(HTMLParser):
+    """Build a forgiving element tree (the archived pages are not always well-formed)."""
+
+    def __init__(self):
+        super().__init__(convert_charrefs=True)
+        self.root = Node('root', {}, None)
+        self.current = self.root
+
+    def handle_starttag(self, tag, attrs):
+        node = Node(tag, {k: (v or '') for k, v in attrs}, self.current)
+        self.current.children.append(node)
+        if tag not in VOID_TAGS:
+            self.current = node
+
+    def handle_startendtag(self, tag, attrs):
+        self.current.children.append(Node(tag, {k: (v or '') for k, v in attrs}, self.current))
+
+    def handle_endtag(self, tag):
+        # Close up to the matching open element, ignore stray end tags
+        node = self.current
+        while node is not self.root and node.tag != tag:
+            node = node.parent
+        if node is not self.root:
+            self.current = node.parent
+
+    def handle_data(self, data):
+        self.current.children.append(data)
+
+
+def to_markdown(nodes: List[Any]) -> str:
+    """
+    Convert a list of HTML nodes to the markdown dialect used by issue bodies.
+
+    Args:
+        nodes: Element and text nodes
+
+    Returns:
+        Markdown text
+    """
+    def convert(node, list_prefix='- ') -> str:
+        if isinstance(node, str):
+            return re.sub(r'\s+', ' ', node)
+
+        inner = ''.join(convert(child) for child in node.children)
+        tag = node.tag
+
+        if tag == 'br':
+            return '\n'
+        if tag in ('p', 'div', 'section'):
+            return f'\n\n{inner.strip()}\n\n'
+        if tag in ('b', 'strong'):
+            return f'**{inner.strip()}** ' if inner.strip() else ''
+        if tag in ('i', 'em'):
+            return f'_{inner.strip()}_ ' if inner.strip() else ''
+        if tag == 'a':
+            href = node.attrs.get('href', '')
+            label = inner.strip()
+            if not href.startswith('http'):
+                return label
+            if not label or label == href:
+                return href
+            return f'[{label}]({href})'
+        if tag in ('ul', 'ol'):
+            items = []
+            for index, child in enumerate(c for c in node.children if isinstance(c, Node) and c.tag == 'li'):
+                prefix = f'{index + 1}. ' if tag == 'ol' else '- '
+                content = re.sub(r'\n{2,}', '\n', ''.join(convert(c) for c in child.children).strip())
+                items.append(prefix + content.replace('\n', '\n  '))
+            return '\n\n' + '\n'.join(items) + '\n\n'
+        if tag in ('h1', 'h2', 'h3', 'h4', 'h5', 'h6'):
+            return f'\n\n**{inner.strip()}**\n\n'
+        if tag in ('img', 'button', 'script', 'style'):
+            return ''
+        return inner
+
+    text = ''.join(convert(node) for node in nodes)
+    text = re.sub(r'[ \t]+\n', '\n', text)
+    text = re.sub(r'\n[ \t]+', '\n', text)
+    text = re.sub(r'\n{3,}', '\n\n', text)
+    return text.strip()
+
+
+def split_labelled_sections(section: Node) -> Dict[str, str]:
+    """
+    Split a project's collapsed description into fields.
+
+    Content before the first known bold label is the description; each known
+    label (e.g. "Goals for the BrainHack:") starts a new field.
+    """
+    fields: Dict[str, List[Any]] = {'description': []}
+    current: Optional[str] = 'description'
+
+    for child in section.children:
+        if isinstance(child, Node) and child.tag in ('b', 'strong', 'h4', 'h5'):
+            label = re.sub(r'\s+', ' ', child.text()).strip().rstrip(':').strip().lower()
+            if label in LABELS:
+                current = LABELS[label]
+                if current:
+                    fields.setdefault(current, [])
+                continue
+        if current:
+            fields[current].append(child)
+
+    return {key: to_markdown(value) for key, value in fields.items() if to_markdown(value)}
+
+
+def find_projects_section(root: Node) -> Optional[Node]:
+    for node in root.iter():
+        if node.tag == 'section' and node.attrs.get('id') == 'projects':
+            return node
+    return None
+
+
+def extract_people(nodes: List[Node]) -> (str, str):
+    """
+    Find the leaders (first paragraph after the title, often "by ...") and
+    the optional "Collaborators:" paragraph.
+    """
+    leaders = ''
+    collaborators = ''
+    expect_collaborators = False
+
+    def inline_text(node: Node) -> str:
+        # Unclosed <p> tags swallow the following blocks: stop at the first one
+        parts = []
+        for child in node.children:
+            if isinstance(child, Node) and child.tag in BLOCK_TAGS:
+                break
+            parts.append(child.text() if isinstance(child, Node) else child)
+        return re.sub(r'\s+', ' ', ''.join(parts)).strip()
+
+    for node in nodes:
+        text = inline_text(node)
+        if node.tag == 'b' and text.lower().startswith('collaborators'):
+            expect_collaborators = True
+        elif node.tag == 'p' and text:
+            if expect_collaborators:
+                collaborators = text
+                break
+            if not leaders:
+                leaders, _, inline_collaborators = re.sub(r'^by\s+', '', text, flags=re.I).partition(' Collaborators ')
+                collaborators = inline_collaborators
+
+    return leaders, collaborators
+
+
+def extract_year(year: int) -> List[Dict[str, Any]]:
+    """
+    Extract the projects of one archived edition.
+
+    Args:
+        year: Edition year
+
+    Returns:
+        List of project dictionaries (same fields as projects_2026.json)
+    """
+    path = PAGE_TEMPLATE.format(year=year)
+    with open(path, encoding='utf-8') as f:
+        builder = TreeBuilder()
+        builder.feed(f.read())
+
+    section = find_projects_section(builder.root)
+    if section is None:
+        print(f"   ✗ No projects section in {path}")
+        return []
+
+    # Flatten in document order; each collapsed description is one project
+    nodes = list(section.iter())
+    collapses = [i for i, node in enumerate(nodes)
+                 if node.tag == 'section' and node.attrs.get('id', '').startswith('collapse')]
+
+    projects = []
+    previous_end = 0
+
+    for number, position in enumerate(collapses, start=1):
+        collapse = nodes[position]
+        before = nodes[previous_end:position]
+        next_start = collapses[number] if number < len(collapses) else len(nodes)
+        after = nodes[position + 1:next_start]
+        previous_end = position + 1 + sum(1 for _ in collapse.iter()) - 1
+
+        titles = [n for n in before if n.tag == 'h3' and n.text().strip().lower() != 'description']
+        images = [n for n in before if n.tag == 'img' and 'projects/' in n.attrs.get('src', '')]
+
+        if not titles:
+            continue
+
+        leaders, collaborators = extract_people(before[before.index(titles[-1]) + 1:])
+
+        fields = split_labelled_sections(collapse)
+
+        # "Required skills" progress bars after the description
+        skills = [re.sub(r'\s+', ' ', n.text()).strip() for n in after
+                  if 'progress-bar' in n.attrs.get('class', '')]
+        if skills and 'skills' not in fields:
+            fields['skills'] = '\n'.join(f'- {skill}' for skill in skills)
+
+        image = images[-1].attrs['src'] if images else ''
+
+        projects.append({
+            'id': f'{year}-{number}',
+            'year': year,
+            'title': re.sub(r'\s+', ' ', titles[-1].text()).strip(),
+            'leaders': leaders,
+            'collaborators': collaborators,
+            'description': fields.get('description', ''),
+            'goals': fields.get('goals', ''),
+            'learning': fields.get('learning', ''),
+            'repository': fields.get('repository', ''),
+            'communication': fields.get('communication', ''),
+            'onboarding': fields.get('onboarding', ''),
+            'data': fields.get('data', ''),
+            'skills': fields.get('skills', ''),
+            'good_first_issues': fields.get('good_first_issues', ''),
+            'num_collaborators': fields.get('num_collaborators', ''),
+            'image': f'BHM_{year}/{image}' if image and not image.startswith('http') else image,
+            'type': fields.get('type', ''),
+            'development_status': fields.get('development_status', ''),
+            'topics': fields.get('topics', ''),
+            'tools': fields.get('tools', ''),
+            'programming_languages': fields.get('programming_languages', ''),
+            'modalities': fields.get('modalities', ''),
+            'git_skills': fields.get('git_skills', ''),
+            'issue_url': '',
+            'page_url': f'BHM_{year}/BHM_{year}.html#projects',
+            'created_at': '',
+            'updated_at': '',
+            'labels': ['project', 'archive']
+        })
+        print(f"   ✓ {year}: {projects[-1]['title']}")
+
+    return projects
+
+
+def main():
+    """Main execution function."""
+    years = [int(arg) for arg in sys.argv[1:]] or YEARS
+
+    for year in years:
+        print(f"📄 Extracting BrainHack Marseille {year}...")
+        projects = extract_year(year)
+
+        output = OUTPUT_TEMPLATE.format(year=year)
+        os.makedirs(os.path.dirname(output), exist_ok=True)
+        with open(output, 'w', encoding='utf-8') as f:
+            json.dump(projects, f, indent=2, ensure_ascii=False)
+
+        print(f"✅ Saved {len(projects)} project(s) to {output}\n")
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,277 @@
+#!/usr/bin/env python3
+"""
+Cache metadata of the public datasets named in the projects' "Data to use".
+
+assets/js/datasets.js finds OpenNeuro, DANDI, NeuroVault, OSF and HCP
+references in the free-text `data` field and shows them as dataset cards.
+Their name, modalities, size and licence come from the archives' public APIs,
+which the browser should not call for every visitor: this script looks them
+up once and writes assets/data/datasets.json.
+
+It runs after generate_projects_json.py in the GitHub workflow, and can be
+run by hand:
+
+    python scripts/fetch_dataset_metadata.py
+
+A dataset whose archive cannot be reached keeps its previous entry, so a
+network hiccup never empties the cache. The file is only rewritten when an
+entry changed, so the workflow has nothing to commit otherwise.
+"""
+
+import os
+import re
+import glob
+import json
+import requests
+from typing import Dict, List, Optional, Any
+
+# Configuration
+PROJECTS_GLOB = 'assets/data/projects_*.json'
+OUTPUT_FILE = 'assets/data/datasets.json'
+TIMEOUT = 20
+
+# Same patterns as REPOSITORIES in assets/js/datasets.js: the first group is
+# the accession (no group: the `accession` of the repository)
+PATTERNS = {
+    'openneuro': [
+        r'openneuro\.org/datasets/(ds\d{6})',
+        r'10\.18112/openneuro\.(ds\d{6})',
+        r'\b(ds\d{6})\b',
+    ],
+    'dandi': [
+        r'dandiarchive\.org/dandiset/(\d{6})',
+        r'10\.48324/dandi\.(\d{6})',
+        r'\bdandi(?:set)?[:\s#]*(\d{6})\b',
+    ],
+    'neurovault': [
+        r'neurovault\.org/collections/(\d+)',
+        r'\bneurovault\s+collection\s*#?(\d+)',
+    ],
+    'osf': [
+        r'osf\.io/([a-z0-9]{5})\b',
+    ],
+    'hcp': [
+        r'\bHCP\b|human connectome project|humanconnectome\.org',
+    ],
+}
+
+# The HCP has no public metadata API
+HCP = {
+    'name': 'Human Connectome Project',
+    'modalities': ['MRI', 'MEG'],
+    'license': 'HCP Open Access Data Use Terms',
+    'url': 'https://www.humanconnectome.org/',
+}
+
+
+def find_datasets(text: str) -> List[str]:
+    """
+    Find the dataset references of a free-text answer.
+
+    Args:
+        text: "Data to use" answer
+
+    Returns:
+        Keys such as "openneuro:ds000117", without duplicates
+    """
+    keys = []
+
+    for repository, patterns in PATTERNS.items():
+        for pattern in patterns:
+            for match in re.finditer(pattern, text or '', re.IGNORECASE):
+                accession = match.group(1) if match.groups() else 'HCP'
+                if repository == 'openneuro':
+                    accession = accession.lower()
+
+                key = f'{repository}:{accession}'
+                if key not in keys:
+                    keys.append(key)
+
+    return keys
+
+
+def fetch_openneuro(accession: str) -> Dict[str, Any]:
+    """Name, licence, modalities and size from the OpenNeuro GraphQL API."""
+    query = '''
+        query($id: ID!) {
+          dataset(id: $id) {
+            latestSnapshot {
+              description { Name License }
+              summary { modalities size totalFiles }
+            }
+          }
+        }
+    '''
+    response = requests.post('https://openneuro.org/crn/graphql',
+                             json={'query': query, 'variables': {'id': accession}},
+                             timeout=TIMEOUT)
+    response.raise_for_status()
+
+    snapshot = response.json()['data']['dataset']['latestSnapshot']
+    description = snapshot.get('description') or {}
+    summary = snapshot.get('summary') or {}
+
+    return {
+        'name': description.get('Name'),
+        'license': description.get('License'),
+        'modalities': summary.get('modalities') or [],
+        'size': summary.get('size'),
+        'files': summary.get('totalFiles'),
+        'url': f'https://openneuro.org/datasets/{accession}',
+    }
+
+
+def fetch_dandi(accession: str) -> Dict[str, Any]:
+    """Metadata of the latest published (or draft) version of a Dandiset."""
+    base = f'https://api.dandiarchive.org/api/dandisets/{accession}'
+    response = requests.get(f'{base}/', timeout=TIMEOUT)
+    response.raise_for_status()
+
+    dandiset = response.json()
+    version = (dandiset.get('most_recent_published_version') or dandiset.get('draft_version') or {}).get('version', 'draft')
+
+    response = requests.get(f'{base}/versions/{version}/', timeout=TIMEOUT)
+    response.raise_for_status()
+
+    metadata = response.json()
+    summary = metadata.get('assetsSummary') or {}
+    techniques = summary.get('approach') or summary.get('measurementTechnique') or []
+
+    return {
+        'name': metadata.get('name'),
+        'license': ', '.join(item.replace('spdx:', '') for item in metadata.get('license') or []) or None,
+        'modalities': [item.get('name') for item in techniques if item.get('name')],
+        'size': summary.get('numberOfBytes'),
+        'files': summary.get('numberOfFiles'),
+        'url': f'https://dandiarchive.org/dandiset/{accession}',
+    }
+
+
+def fetch_neurovault(accession: str) -> Dict[str, Any]:
+    """Name and image modalities of a NeuroVault collection."""
+    base = f'https://neurovault.org/api/collections/{accession}'
+    response = requests.get(f'{base}/', params={'format': 'json'}, timeout=TIMEOUT)
+    response.raise_for_status()
+    collection = response.json()
+
+    response = requests.get(f'{base}/images/', params={'format': 'json', 'limit': 100}, timeout=TIMEOUT)
+    response.raise_for_status()
+    modalities = sorted({image['modality'] for image in response.json().get('results', []) if image.get('modality')})
+
+    return {
+        'name': collection.get('name'),
+        # Public NeuroVault collections are all released under CC0
+        'license': 'CC0',
+        'modalities': modalities,
+        'size': None,
+        'files': collection.get('number_of_images'),
+        'url': f'https://neurovault.org/collections/{accession}/',
+    }
+
+
+def fetch_osf(accession: str) -> Dict[str, Any]:
+    """Title and licence of an OSF project or component."""
+    response = requests.get(f'https://api.osf.io/v2/nodes/{accession}/',
+                            params={'embed': 'license'}, timeout=TIMEOUT)
+    response.raise_for_status()
+
+    node = response.json()['data']
+    license_data = ((node.get('embeds') or {}).get('license') or {}).get('data') or {}
+
+    return {
+        'name': node['attributes'].get('title'),
+        'license': (license_data.get('attributes') or {}).get('name'),
+        'modalities': [],
+        'size': None,
+        'files': None,
+        'url': f'https://osf.io/{accession}/',
+    }
+
+
+FETCHERS = {
+    'openneuro': fetch_openneuro,
+    'dandi': fetch_dandi,
+    'neurovault': fetch_neurovault,
+    'osf': fetch_osf,
+    'hcp': lambda accession: dict(HCP, size=None, files=None),
+}
+
+
+def load_previous() -> Dict[str, Any]:
+    """Entries of the existing cache (none when there is no cache yet)."""
+    try:
+        with open(OUTPUT_FILE, encoding='utf-8') as f:
+            return json.load(f).get('datasets', {})
+    except (OSError, ValueError):
+        return {}
+
+
+def collect_keys() -> List[str]:
+    """Dataset keys referenced by the projects of every edition."""
+    keys = []
+
+    for path in sorted(glob.glob(PROJECTS_GLOB)):
+        with open(path, encoding='utf-8') as f:
+            projects = json.load(f)
+
+        for project in projects:
+            for key in find_datasets(project.get('data', '')):
+                if key not in keys:
+                    keys.append(key)
+
+    return keys
+
+
+def fetch_metadata(key: str, previous: Dict[str, Any]) -> Optional[Dict[str, Any]]:
+    """
+    Look up one dataset.
+
+    Returns:
+        Its cache entry, the previous one when the archive could not be
+        reached, or None when there is neither
+    """
+    repository, accession = key.split(':', 1)
+
+    try:
+        entry = FETCHERS[repository](accession)
+        entry.update({'repository': repository, 'accession': accession})
+        print(f"   ✓ {key}: {entry.get('name') or '(no name)'}")
+        return entry
+    except (requests.exceptions.RequestException, KeyError, TypeError, ValueError) as e:
+        print(f"   ✗ {key}: {e}")
+        if key in previous:
+            print("     keeping the cached entry")
+        return previous.get(key)
+
+
+def main():
+    """Main execution function."""
+    print("=" * 70)
+    print("  BrainHack Marseille - Dataset Metadata Cache")
+    print("=" * 70)
+    print()
+
+    keys = collect_keys()
+    print(f"📥 {len(keys)} dataset(s) referenced by the projects")
+
+    previous = load_previous()
+    datasets = {}
+
+    for key in keys:
+        entry = fetch_metadata(key, previous)
+        if entry:
+            datasets[key] = entry
+
+    if datasets == previous and os.path.exists(OUTPUT_FILE):
+        print(f"\n✅ No change, {OUTPUT_FILE} left as is")
+        return
+
+    os.makedirs(os.path.dirname(OUTPUT_FILE), exist_ok=True)
+    with open(OUTPUT_FILE, 'w', encoding='utf-8') as f:
+        json.dump({'datasets': datasets}, f, indent=2, ensure_ascii=False)
+
+    print(f"\n✅ Saved {len(datasets)} dataset(s) to {OUTPUT_FILE}")
+
+
+if __name__ == '__main__':
+    main()
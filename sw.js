@@ -0,0 +1,199 @@
+/**
+ * BrainHack Marseille 2026 - Service Worker
+ * Keeps the site usable when the venue Wi-Fi drops: the page, styles,
+ * scripts and fonts are precached, and the projects/program JSON is served
+ * stale-while-revalidate (cached copy first, refreshed in the background),
+ * except for the projects grid's live refresh polls.
+ */
+
+'use strict';
+
+// Bump STATIC_CACHE when the precache list changes; data survives updates
+const STATIC_CACHE = 'bhm-static-v6';
+const DATA_CACHE = 'bhm-data';
+const CACHED_AT_HEADER = 'X-BHM-Cached-At';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'images/favicon/favicon_green.png',
+  'images/main_banner.png',
+
+  'assets/vendor/bootstrap/css/bootstrap.min.css',
+  'assets/vendor/icofont/icofont.min.css',
+  'assets/vendor/icofont/fonts/icofont.woff2',
+  'assets/vendor/boxicons/css/boxicons.min.css',
+  'assets/vendor/boxicons/fonts/boxicons.woff2',
+  'assets/vendor/remixicon/remixicon.css',
+  'assets/vendor/remixicon/remixicon.woff2',
+  'assets/vendor/venobox/venobox.css',
+  'assets/vendor/owl.carousel/assets/owl.carousel.min.css',
+  'assets/vendor/aos/aos.css',
+  'assets/css/style_aquadeep.css',
+  'assets/css/style_program_aquadeep.css',
+  'assets/css/projects.css',
+
+  'assets/vendor/jquery/jquery.min.js',
+  'assets/vendor/bootstrap/js/bootstrap.bundle.min.js',
+  'assets/vendor/jquery.easing/jquery.easing.min.js',
+  'assets/vendor/php-email-form/validate.js',
+  'assets/vendor/waypoints/jquery.waypoints.min.js',
+  'assets/vendor/isotope-layout/isotope.pkgd.min.js',
+  'assets/vendor/venobox/venobox.min.js',
+  'assets/vendor/owl.carousel/owl.carousel.min.js',
+  'assets/vendor/aos/aos.js',
+  'assets/js/main.js',
+  'assets/js/i18n.js',
+  'assets/js/utils.js',
+  'assets/js/countdown.js',
+  'assets/js/offline.js',
+  'assets/js/schema.js',
+  'assets/js/markdown.js',
+  'assets/js/search.js',
+  'assets/js/export.js',
+  'assets/js/datasets.js',
+  'assets/js/projects.js',
+  'assets/js/quiz.js',
+  'assets/js/stats.js',
+  'assets/js/jsonld.js',
+  'assets/js/ics.js',
+  'assets/js/program.js'
+];
+
+// Fetched at install too, so the data is there even if the grid was never opened
+const DATA_URLS = [
+  'assets/data/program_2026.json',
+  'assets/data/projects_2026.json',
+  'assets/data/projects_2024.json',
+  'assets/data/projects_2023.json',
+  'assets/data/projects_2022.json',
+  'assets/data/projects_2021.json',
+  'assets/data/projects_2020.json',
+  'assets/data/datasets.json'
+];
+
+const DATA_PATTERN = /\/assets\/data\/[^/]+\.json$/;
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(Promise.all([
+    caches.open(STATIC_CACHE).then(cache => cache.addAll(PRECACHE_URLS)),
+    caches.open(DATA_CACHE).then(cache => Promise.all(DATA_URLS.map(url =>
+      // A missing data file must not prevent the install
+      fetch(url)
+        .then(async response => {
+          if (response.ok) await cache.put(url, await stampResponse(response));
+        })
+        .catch(() => null)
+    )))
+  ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key !== STATIC_CACHE && key !== DATA_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (sameOrigin && DATA_PATTERN.test(url.pathname)) {
+    // The grid's live refresh asks for no-store: its polls must reach the server
+    event.respondWith(request.cache === 'no-store'
+      ? fetchAndCache(request, DATA_CACHE)
+      : staleWhileRevalidate(event, DATA_CACHE, true));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (sameOrigin || FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, STATIC_CACHE, false));
+  }
+});
+
+/**
+ * Copy a response with the time it was stored, shown in the offline banner
+ */
+async function stampResponse(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: headers
+  });
+}
+
+/**
+ * Answer from the cache when possible and refresh it in the background
+ * When `notify` is set, pages are told that the refresh failed so they can
+ * show the offline banner with the age of the data.
+ */
+async function staleWhileRevalidate(event, cacheName, notify) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+
+  const refresh = fetch(event.request).then(async response => {
+    if (response.ok) await cache.put(event.request, await stampResponse(response.clone()));
+    return response;
+  });
+
+  if (!cached) return refresh;
+
+  event.waitUntil(refresh.catch(() => {
+    if (notify) {
+      return notifyClients({
+        type: 'bhm-offline',
+        url: event.request.url,
+        cachedAt: cached.headers.get(CACHED_AT_HEADER)
+      });
+    }
+  }));
+
+  return cached;
+}
+
+/**
+ * Straight to the network (conditional headers included), keeping the cache
+ * up to date when a new version comes back
+ */
+async function fetchAndCache(request, cacheName) {
+  const response = await fetch(request);
+
+  if (response.status === 200) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request.url, await stampResponse(response.clone()));
+  }
+  return response;
+}
+
+/**
+ * Pages: always try the network so edits show up, fall back to the cache
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(STATIC_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Post a message to every open page of the site
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}